@@ -19,8 +19,35 @@
 // newlines, and the newlines can be mangled or deleted without affecting the
 // deserialized data.
 
-// Note that this version doesn't support class hierarchies. I'm working on an
-// extension that will be able to handle this.
+// Instances of custom classes are supported as long as the class is registered on
+// both ends:
+
+// | rather_insane_serialization.register('Point', Point);
+
+// Both encode() and decode() take an optional options object as their second
+// argument. Setting 'unregistered' to 'object' makes instances of unregistered
+// classes come out as plain objects instead of causing an error.
+
+// The options can also include a 'replacer' for encode() and a 'reviver' for
+// decode(). These work much like their JSON counterparts, except that they also
+// receive the path to each value. A replacer can drop a value by returning
+// rather_insane_serialization.omit, or give it a custom form with
+// rather_insane_serialization.tag(name, value) so that the reviver can recognize
+// it later:
+
+// | var s = rather_insane_serialization.encode(x, {replacer: function (k, v) {
+//     return v instanceof Money ? rather_insane_serialization.tag('money', v.cents)
+//                               : v}});
+
+// By default, encode() records only the values of enumerable properties whose
+// keys are strings, much as JSON.stringify() does. Setting 'descriptors' records
+// every own property instead, symbols and all, along with whether it's writable,
+// enumerable, and configurable; getters and setters are encoded as functions
+// rather than being called. See 'Property descriptors' for details.
+
+// By default decode() trusts its input, which among other things means that it
+// will compile any functions it contains. Don't decode data from untrusted sources
+// without passing {safe: true}; see 'Safe decoding' for details.
 
 
 // Serialization bytecode.
@@ -51,10 +78,20 @@
 // A reference graph follows the constant table and specifies relationships between
 // objects.
 
+// Messages from a session (see 'Sessions') begin with one more four-byte number:
+// the number of constants in the session's table before the message, fixed ones
+// included. The message's constants are numbered from there.
+
+// Encodings made with a dictionary (see 'Dictionaries') begin with the character
+// '~' and the dictionary's four-digit fingerprint, ahead of everything else. The
+// dictionary's strings follow the fixed constants in the table, and the
+// encoding's own constants are numbered after them.
+
 // The bytecode is designed for compactness, so it contains a lot of arithmetic
 // coding. In particular, integers are encoded in base 94 and floating point
-// numbers are encoded in base 94 with two base-94 characters allocated for the
-// exponent and the mantissa and exponent signs. All encodings are big-endian.
+// numbers are encoded in base 94 with (usually) two base-94 characters allocated
+// for the exponent, the mantissa sign, and the width of the mantissa. All
+// encodings are big-endian.
 
 // The first few entries of the constant table are fixed and are not serialized.
 // They are:
@@ -70,18 +107,28 @@
 // sign and the number of base-94 digits that are required to fully encode the
 // value. The largest integer possible in Javascript is 53 bits plus one bit for
 // the sign, and each base-94 digit encodes 6.55 bits of entropy, so an integer
-// will require between one and nine characters. Thus there are 18 prefixes for
-// integers: abcdefghi (for positive one to nine byte encodings, respectively), and
-// ABCDEFGHI (for negative one to nine byte encodings). Zero is encoded as the
-// digit '0'.
-
-// Floating point numbers are more straightforward to encode because two base-94
-// bytes (an entropy of 8836) is enough information to encode the exponent (entropy
-// of 308), exponent sign (entropy of 2), and mantissa sign (entropy of 2). The
-// remaining entropy of 7.17 is used to encode the number of bytes used to
-// represent the mantissa -- because the mantissa contains up to 53 bits, the
-// seven values map to 1, 2, 3, 4, 5, 7, and 9 bytes. The prefix for floating-point
-// numbers is 'j'.
+// would require between one and nine characters. However, the ninth prefix would
+// collide with floating-point numbers, so there are 16 prefixes for integers:
+// bcdefghi (for positive one to eight byte encodings, respectively), and BCDEFGHI
+// (for negative one to eight byte encodings). Integers too large for eight digits
+// are encoded as floating-point numbers, which represent them exactly.
+
+// BigInts aren't limited to 53 bits, so they're encoded with an explicit length
+// instead. The prefix is 'k' for zero and positive values and 'l' for negative
+// ones, and it's followed by a five-digit count of base-94 digits and then the
+// digits themselves.
+
+// Floating point numbers are encoded from their IEEE-754 bits. Two base-94 bytes
+// (an entropy of 8836) are enough to encode the mantissa sign (entropy of 2), any
+// of the 631 binary exponents closest to zero, and the width of the mantissa
+// (entropy of 7). Because the leading bit of the mantissa is implicit, there are
+// at most 52 bits to store, and the seven widths are 1, 2, 3, 4, 5, 7, and 8
+// bytes; the encoder uses the narrowest one that holds the mantissa once its
+// trailing zero bits are dropped. The prefix for these floating-point numbers is
+// '+'. Numbers with more extreme exponents, subnormals, and negative zero use the
+// prefix 'q' and a three-byte header that can encode any exponent. Older encodings
+// used the prefix 'j', a two-byte exponent, and an eight-byte mantissa; the
+// decoder still accepts these.
 
 // Strings are escape-encoded and are prefixed by their length. This means that 84
 // characters map directly to themselves, and there are ten escape prefixes. The
@@ -113,21 +160,71 @@
 //   t: /foo/m     x: /foo/gm
 //   u: /foo/mi    y: /foo/gmi
 
-// Nonstandard flags such as the 'y' in Firefox 3 are not serialized.
+// Regexps with any other flags use the prefix 'z', followed by two digits that
+// hold one bit for each of the flags d, g, i, m, s, u, v, and y (in that order,
+// starting with the lowest bit). A regexp's lastIndex is linked from the reference
+// graph like a property, but only if it isn't zero.
 
 // Dates are encoded in milliseconds since the epoch, which requires 7 base-94
-// characters. There is only one date prefix, 'J'.
-
-// Functions are encoded as strings but have different prefixes. Their properties
-// are referenced from the reference section, where they are treated as objects for
-// the purposes of edge connections (see 'Reference section' below). The function
-// prefix is '#'.
+// characters for dates between 1970 and 4020. These use the prefix 'J'. Other dates
+// use the prefix 'm' and nine characters: the first holds the sign (its lowest
+// bit) and the magnitude divided by 94^8, and the other eight hold the rest of the
+// magnitude. Invalid dates are encoded as the single character 'n'. Like other
+// objects, dates can have properties in the reference graph.
+
+// Functions are encoded as strings but have a different prefix, '@'. It's followed
+// by a digit for the kind of function (plain, async, generator, arrow, method,
+// class, and so on), the three-digit length of the function's name, the five-digit
+// length of its code, the four-digit constant index of its environment if it has
+// one (see 'Closure environments'), and then the name and the code. Their
+// properties are referenced from the reference section, where they are treated as
+// objects for the purposes of edge connections (see 'Reference section' below).
+// Older encodings used the prefix '#' with a four-digit length and only the code;
+// the decoder still accepts these.
 
 // Arrays are encoded as the single character !. Their children are described in
-// the reference graph, since arrays can have circular references.
+// the reference graph, since arrays can have circular references. Arrays that end
+// in holes are encoded as the character 'p' and a five-digit length instead.
+// Arrays of eight or more numbers, with nothing else in them, are packed into a
+// single constant that begins with '{' and has no edges at all (see 'Packed
+// numeric arrays'). Packing is skipped when there's a replacer, since it would
+// otherwise have to skip the elements.
+
+// Regular objects (that is, those whose prototype is Object.prototype) are
+// encoded by the single character ". Objects with no prototype at all are encoded
+// by the single character '.', and boxed primitives by ':' followed by a digit for
+// the type of primitive and the four-digit constant index of the primitive.
+
+// Symbols are encoded as the prefix '<', a digit that says whether the symbol is
+// registered (0) or well-known (1), and its key or name encoded like a string (see
+// 'Symbol encoding'). Other symbols can't be encoded.
+
+// Property descriptors are encoded as the prefix '>' and a digit of flags. They
+// appear only with the 'descriptors' option, and their value or accessors are
+// linked from the reference graph (see 'Property descriptors').
+
+// The deleted marker, which only session messages use, is encoded as the single
+// character '-' (see 'Deletions').
+
+// Instances of registered classes are encoded as % followed by the class name,
+// which is encoded just like a string constant. Their fields are described in the
+// reference graph, just like the fields of regular objects.
+
+// Tagged values (see 'Tagged values') are encoded as the single character *; their
+// tag and value are linked from the reference graph as though they were fields.
+
+// Errors are encoded as the character 'o' and a digit for the kind of error (see
+// 'Error encoding'). Their message, stack, cause, errors, and any other properties
+// are linked from the reference graph.
 
-// Regular objects (that is, those without a custom .constructor property) are
-// encoded by the single character ".
+// Maps and sets are encoded as the single characters & and ', respectively. Their
+// entries are described in the reference graph (see 'Reference section' below).
+
+// ArrayBuffers are encoded as the prefix (, a five-digit byte length, and the raw
+// bytes packed four at a time into five base-94 digits. Typed arrays and DataViews
+// are encoded as the prefix ), a digit for the kind of view, the four-digit
+// constant index of the underlying buffer, and five digits each for the byte
+// offset and length. The buffer always precedes its views in the constant table.
 
 // In addition to literal constants, the constant table encodes the number of
 // arrays and objects that exist. These are then referenced and made into a graph
@@ -143,11 +240,36 @@
 
 // | <object index> <number of edges> <edge> <edge> ... <edge>
 
-// Each edge is a pair of constant table indexes; the first is a string or integer
-// to encode the slot, and the second is the value that the slot refers to. (So,
-// for example, {foo: 'bar'} would have one edge whose slot index points to the
-// string 'foo' and whose value index points to the string 'bar'.) The number of
-// edges is always four bytes wide.
+// Each edge is a pair of constant table indexes; the first is a string, integer,
+// or symbol to encode the slot, and the second is the value that the slot refers
+// to. (So, for example, {foo: 'bar'} would have one edge whose slot index points
+// to the string 'foo' and whose value index points to the string 'bar'.) The
+// number of edges is as wide as a constant index; objects with more edges than
+// that can count are split into several consecutive groups.
+
+// Array elements are linked in index order, and an edge whose slot is the constant
+// 'undefined' refers to the element after the previous one. (The first element of
+// an array is element 0.) So an array only needs integer slot constants for the
+// elements right after its holes.
+
+// Maps and sets use their edges to describe entries rather than properties. Each
+// edge from a map has the key as its slot and the value as its value, and each edge
+// from a set has the element as its slot and 'true' as its value. These edges are
+// written in insertion order.
+
+
+// Integrity section.
+// If encode() was called with the 'integrity' option, the reference graph is
+// followed by an integrity section that records which objects were frozen, sealed,
+// or non-extensible. It begins with the character 'i' and a four-byte count, and
+// then has one entry per object:
+
+// | <object index> <level>
+
+// The object index is as wide as any other constant index, and the level is one
+// digit: 1 for non-extensible, 2 for sealed, and 3 for frozen. Objects that are
+// fully extensible aren't listed, and the section is omitted altogether if no
+// objects are. The decoder restores these levels after everything else is done.
 
 
 
@@ -267,12 +389,67 @@ var escape_decode = function (s) {
 };
 
 
+// Byte packing.
+// Usage: bytes_encode(new Uint8Array([1, 2, 3]))  // -> '!(M`'
+//        bytes_decode('!(M`', 0, 3)               // -> Uint8Array [1, 2, 3]
+
+// Raw binary data is packed four bytes at a time into five base-94 digits (94^5 is
+// about 7.3 billion, which comfortably holds 2^32). If the length isn't a multiple
+// of four, the last one to three bytes are packed into one more digit than there
+// are bytes. bytes_length() tells you how many digits a given number of bytes will
+// occupy.
+
+var bytes_encode = function (bytes) {
+  for (var result = [],
+           i = 0, l = bytes.length; i + 4 <= l; i += 4)
+    result.push(radix_encode((bytes[i]     << 24 | bytes[i + 1] << 16 |
+                              bytes[i + 2] << 8  | bytes[i + 3]) >>> 0, 5));
+
+  for (var n = 0, j = i; j < l; ++j)
+    n = n * 256 + bytes[j];
+
+  if (i < l) result.push(radix_encode(n, l - i + 1));
+  return result.join('');
+};
+
+var bytes_length = function (n) {
+  return Math.floor(n / 4) * 5 + (n % 4 ? n % 4 + 1 : 0);
+};
+
+var bytes_decode = function (s, i, n) {
+  for (var bytes = new Uint8Array(n),
+           j = 0; j + 4 <= n; j += 4, i += 5) {
+    var x = radix_decode(s.substr(i, 5));
+    bytes[j]     = x >>> 24;
+    bytes[j + 1] = x >>> 16 & 255;
+    bytes[j + 2] = x >>> 8  & 255;
+    bytes[j + 3] = x        & 255;
+  }
+
+  if (j < n)
+    for (var x = radix_decode(s.substr(i, n - j + 1)),
+             k = n - 1; k >= j; --k, x = Math.floor(x / 256))
+      bytes[k] = x % 256;
+
+  return bytes;
+};
+
+
 
 
 
 // Integer encoding.
 // This is just a radix encoding with a length/sign prefix.
 
+// The prefixes b through i cover one to eight digits ('j' is taken by floats), so
+// only integers below 94^8 can be encoded this way; anything bigger is encoded as
+// a float, which loses nothing. Negative zero also goes through the float encoder,
+// since otherwise its sign would be lost.
+
+var is_safe_integer = function (n) {
+  return n === Math.floor(n) && n !== 0 && Math.abs(n) < 6095689385410816;
+};
+
 var integer_encode = function (n) {
   var digits = radix_code(Math.abs(n));
   var prefix = String.fromCharCode(n ? n > 0 ? 97 + digits.length :
@@ -281,23 +458,86 @@ var integer_encode = function (n) {
 };
 
 var integer_decode = function (s, i) {
-  var negative = s.charCodeAt(i) & 32;
+  var negative = ! (s.charCodeAt(i) & 32);
   var length   = s.charAt(i).toUpperCase().charCodeAt(0) - 65;
   var n        = radix_code(s.substr(i + 1, length));
-  return [n, length + 1];
+  return [negative ? -n : n, length + 1];
+};
+
+
+// BigInt encoding.
+// BigInts can be arbitrarily large, so unlike regular integers they carry an
+// explicit length: a 'k' (for zero or positive) or 'l' (for negative) prefix, five
+// digits for the number of base-94 digits, and then the digits themselves. Digits
+// are peeled off eight at a time, since 94^8 is still small enough to be
+// represented exactly as a double.
+
+// The BigInt() calls are written out longhand so that this file still parses on
+// platforms that don't have BigInt literals.
+
+var bigint_chunk = function () {
+  return BigInt('6095689385410816');      // 94^8
+};
+
+var bigint_encode = function (n) {
+  var negative = n < 0;
+  var chunk    = bigint_chunk();
+
+  for (var chunks = [],
+           m = negative ? -n : n; m > 0; m /= chunk)
+    chunks.unshift(radix_encode(Number(m % chunk), 8));
+
+  var digits = chunks.join('').replace(/^!+/, '');
+  return (negative ? 'l' : 'k') + radix_encode(digits.length, 5) + digits;
 };
 
+var bigint_decode = function (s, i) {
+  var length = radix_decode(s.substr(i + 1, 5));
+  var chunk  = bigint_chunk();
+
+  for (var n = BigInt(0),
+           j = 0, first = length % 8 || 8; j < length; j += first, first = 8)
+    n = n * chunk + BigInt(radix_decode(s.substr(i + 6 + j, first)));
+
+  return [s.charAt(i) === 'l' ? -n : n, length + 6];
+};
 
 // Date encoding.
 // This is just a fixed-width radix encoding of the number of milliseconds since
-// the epoch.
+// the epoch. Seven digits cover every date from 1970 until sometime in the year
+// 4020, which is most of them, so those use the prefix 'J'.
+
+// Javascript dates can be up to 8.64e15 milliseconds away from the epoch in
+// either direction, which takes nine digits. Dates outside of the 'J' range use
+// the prefix 'm', and then one digit for the sign and the highest part of the
+// magnitude, followed by eight more digits for the rest of it. (We don't combine
+// the sign with the rest of the magnitude because that would need more bits than
+// a double can represent exactly.) Invalid dates are just the prefix 'n'.
+
+var date_range = Math.pow(94, 7);
+var date_high  = Math.pow(94, 8);
 
 var date_encode = function (d) {
-  return 'J' + radix_encode(+d, 7);
+  var t = +d;
+  if (t !== t)                  return 'n';
+  if (t >= 0 && t < date_range) return 'J' + radix_encode(t, 7);
+
+  var magnitude = Math.abs(t);
+  var high      = Math.floor(magnitude / date_high);
+
+  return 'm' + radix_encode((t < 0 ? 1 : 0) + 2 * high, 1) +
+               radix_encode(magnitude - high * date_high, 8);
 };
 
 var date_decode = function (s, i) {
-  return [new Date(radix_decode(s.substr(i + 1, 7))), 8];
+  var prefix = s.charAt(i);
+  if (prefix === 'n') return [new Date(NaN), 1];
+  if (prefix === 'J') return [new Date(radix_decode(s.substr(i + 1, 7))), 8];
+
+  var header    = radix_decode(s.charAt(i + 1));
+  var magnitude = (header >>> 1) * date_high + radix_decode(s.substr(i + 2, 8));
+
+  return [new Date(header & 1 ? -magnitude : magnitude), 10];
 };
 
 
@@ -335,26 +575,114 @@ var string_decode = function (s, i) {
 };
 
 
+// Symbol encoding.
+// Symbols can't be serialized in general, since a symbol is only ever equal to
+// itself. Two kinds can be rebuilt on the other end, though: registered symbols,
+// which Symbol.for() returns for the same key anywhere, and the well-known symbols
+// like Symbol.iterator. These are encoded as a '<', a digit for the kind (0 for
+// registered and 1 for well-known), and then the key or the name of the
+// well-known symbol, string-encoded. (Symbol.for('') has an empty key, which
+// string_encode() writes as a bare 'J'.) Any other symbol causes an error.
+
+var well_known_symbols = (function () {
+  var names = typeof Symbol === 'function' ?
+              Object.getOwnPropertyNames(Symbol) : [];
+
+  for (var result = [],
+           i = 0, l = names.length; i < l; ++i)
+    if (typeof Symbol[names[i]] === 'symbol')
+      result.push(names[i]);
+
+  return result;
+})();
+
+var symbol_encode = function (o) {
+  var key = Symbol.keyFor(o);
+  if (key !== void 0) return '<' + radix_encode(0, 1) + string_encode(key);
+
+  for (var i = 0, l = well_known_symbols.length; i < l; ++i)
+    if (Symbol[well_known_symbols[i]] === o)
+      return '<' + radix_encode(1, 1) + string_encode(well_known_symbols[i]);
+
+  throw new Error('cannot encode ' + String(o) + ', since it is neither ' +
+                  'registered with Symbol.for() nor well-known');
+};
+
+var symbol_decode = function (s, i) {
+  var kind   = radix_decode(s.charAt(i + 1));
+  var parsed = string_decode(s, i + 2);
+
+  if (kind === 0)
+    return [Symbol['for'](parsed[0]), parsed[1] + 2];
+
+  for (var j = 0, l = well_known_symbols.length; kind === 1 && j < l; ++j)
+    if (well_known_symbols[j] === parsed[0])
+      return [Symbol[parsed[0]], parsed[1] + 2];
+
+  throw new Error(kind === 1 ? 'unknown well-known symbol ' + parsed[0]
+                             : 'invalid symbol kind ' + kind);
+};
+
+
 // Regular expression encoding.
 // This is just like string encoding, but the prefix varies depending on the flags.
 // There are also fewer digits used to encode the length, since regexps top out at
 // 30M characters or so (and that's on Chrome, which has the highest tolerance for
 // this kind of thing). This means that we need only four digits.
 
+// The prefixes 'r' through 'y' cover every combination of the g, i, and m flags,
+// which were the only ones around when this was written. Regexps with any of the
+// newer flags use the prefix 'z' and a two-digit flag mask instead. We'd rather
+// fail than drop a flag we don't know about, since the regexp could behave
+// differently without it.
+
+var regexp_flag_names = 'dgimsuvy';
+
+var regexp_flags = function (r) {
+  if (typeof r.flags === 'string') return r.flags;
+  return (r.global ? 'g' : '') + (r.ignoreCase ? 'i' : '') +
+         (r.multiline ? 'm' : '') + (r.sticky ? 'y' : '');
+};
+
 var regexp_encode = function (r) {
   var multiples     = {g: 4, m: 2, i: 1};
-  var parsed        = /^\/(.*)\/([gim]*)$/.exec(r.toString());
-  var escaped       = escape_encode(parsed[1]);
+  var flag_string   = regexp_flags(r);
+  var escaped       = escape_encode(r.source);
   var length_prefix = radix_encode(escaped.length, 4);
 
-  for (var flags = 0, flag_string = parsed[2],
-           i = 0, l = flag_string.length; i < l; ++i)
-    flags += multiples[flag_string.charAt(i)];
+  if (/^[gim]*$/.test(flag_string)) {
+    for (var flags = 0,
+             i = 0, l = flag_string.length; i < l; ++i)
+      flags += multiples[flag_string.charAt(i)];
 
-  return String.fromCharCode(114 + flags) + length_prefix + escaped;
+    return String.fromCharCode(114 + flags) + length_prefix + escaped;
+  }
+
+  for (var mask = 0,
+           i = 0, l = flag_string.length; i < l; ++i) {
+    var bit = regexp_flag_names.indexOf(flag_string.charAt(i));
+    if (bit < 0)
+      throw new Error('cannot encode regexp flag ' + flag_string.charAt(i));
+    mask |= 1 << bit;
+  }
+
+  return 'z' + radix_encode(mask, 2) + length_prefix + escaped;
 };
 
 var regexp_decode = function (s, i) {
+  if (s.charAt(i) === 'z') {
+    var mask    = radix_decode(s.substr(i + 1, 2));
+    var length  = radix_decode(s.substr(i + 3, 4));
+    var content = escape_decode(s.substr(i + 7, length));
+
+    for (var flags = '',
+             bit = 0; bit < regexp_flag_names.length; ++bit)
+      if (mask & 1 << bit)
+        flags += regexp_flag_names.charAt(bit);
+
+    return [new RegExp(content, flags), length + 7];
+  }
+
   var flag_mask = s.charCodeAt(i) - 114;
   var flags     = [flag_mask & 1 ? 'i' : '',
                    flag_mask & 2 ? 'm' : '',
@@ -366,52 +694,251 @@ var regexp_decode = function (s, i) {
 };
 
 
+// Scanning function source.
+// Modern functions have parameter lists that can contain just about anything:
+// default values, destructuring patterns, even other functions. So rather than
+// splitting on commas, we find the end of a bracketed region by keeping track of
+// nesting, skipping over strings, template literals, comments, and regular
+// expression literals as we go. skip_brackets() takes the position of an opening
+// bracket and returns the position just after the bracket that closes it, or the
+// length of the code if nothing does.
+
+// Regular expression literals can't be told apart from division without a parser,
+// so we guess based on the last significant character; this is right for any code
+// that a person would reasonably write.
+
+var closing_brackets = {'(': ')', '[': ']', '{': '}'};
+
+var skip_quoted = function (code, i) {
+  for (var quote = code.charAt(i++), l = code.length; i < l; ++i)
+    if (code.charAt(i) === '\\')      ++i;
+    else if (code.charAt(i) === quote) return i;
+  return l;
+};
+
+var skip_template = function (code, i) {
+  for (var l = code.length, i = i + 1; i < l; ++i) {
+    var c = code.charAt(i);
+    if (c === '\\')      ++i;
+    else if (c === '`') return i;
+    else if (c === '$' && code.charAt(i + 1) === '{')
+      i = skip_brackets(code, i + 1) - 1;
+  }
+  return l;
+};
+
+var skip_regexp = function (code, i) {
+  for (var in_class = false, l = code.length, i = i + 1; i < l; ++i) {
+    var c = code.charAt(i);
+    if (c === '\\')                   ++i;
+    else if (c === '[')               in_class = true;
+    else if (c === ']')               in_class = false;
+    else if (c === '/' && ! in_class) return i;
+  }
+  return l;
+};
+
+var skip_brackets = function (code, i) {
+  for (var stack = [], previous = '', l = code.length; i < l; ++i) {
+    var c = code.charAt(i);
+
+    if (c === '"' || c === "'") i = skip_quoted(code, i);
+    else if (c === '`')         i = skip_template(code, i);
+    else if (c === '/' && code.charAt(i + 1) === '/')
+      i = code.indexOf('\n', i) < 0 ? l : code.indexOf('\n', i);
+    else if (c === '/' && code.charAt(i + 1) === '*')
+      i = code.indexOf('*/', i) < 0 ? l : code.indexOf('*/', i) + 1;
+    else if (c === '/' && /^$|[(\[{,;:=!&|?+\-*%<>~^]/.test(previous))
+      i = skip_regexp(code, i);
+    else if (closing_brackets.hasOwnProperty(c))
+      stack.push(closing_brackets[c]);
+    else if (c === stack[stack.length - 1] && (stack.pop(), ! stack.length))
+      return i + 1;
+
+    if (/\S/.test(c)) previous = c;
+  }
+  return l;
+};
+
+
 // Function encoding.
-// This is similar to string encoding, except that the word 'function' is trimmed
-// off of the front. This saves space in the encoded output. Also, only four
-// characters are used to represent the length.
+// Functions are encoded as their source code, along with enough information to
+// rebuild them the same way they were written. The first digit after the '@'
+// prefix says what kind of function it was:
+
+// | 0: function (x) {...}           4: x => ...
+//   1: async function (x) {...}     5: async x => ...
+//   2: function* (x) {...}          6: method (x) {...}, get x() {...}, etc.
+//   3: async function* (x) {...}    7: class X {...}
+
+// Next come the length of the function's name and the length of its code (three
+// and five digits, respectively), and then the name and code themselves, escaped
+// like strings. The name is stored separately because it often isn't in the code
+// at all; 'var f = () => 1' gives the arrow function the name 'f'. Functions that
+// have an environment (see 'Closure environments') add 8 to their kind, and put
+// the four-digit constant index of the environment right after the lengths.
+
+// Functions of the first four kinds are rebuilt with the matching constructor,
+// which is to say Function, AsyncFunction, GeneratorFunction, or
+// AsyncGeneratorFunction. These constructors take the parameter list and the body
+// as separate strings, so we store only the part of the code that starts with the
+// parameter list. The constructor parses the parameters as a whole, so defaults
+// and destructuring work, and it computes the function's .length from them. Its
+// .name is always 'anonymous', so we replace it with the one we stored.
+
+// Built-in functions and bound functions don't have any code to speak of; their
+// source is just '{ [native code] }', so we refuse to encode them.
+
+// A class's code begins with 'class' and then a space or a brace. So can a method
+// named 'class', but its name is followed by its parameter list instead.
+
+// None of the other kinds has a constructor, so they're rebuilt by evaluating
+// their code as an expression: arrow functions and classes directly, and methods
+// as part of an object literal. (Getters and setters come out of the object's
+// property descriptor.) Unlike the constructors, this runs code during decoding;
+// as with any function, you should decode only encodings that you trust. Safe
+// decoding rejects all of these kinds by default.
+
+// Function encoding is still subject to one subtle and tragic flaw: closure state
+// isn't preserved (nor can it be, as far as I'm aware). This means that functions
+// will lose their lexical closure variables -- invoking functions that depend on
+// these will result in ReferenceErrors. The same goes for classes that extend
+// other classes, except that the ReferenceError happens during decoding. You can
+// work around this by giving the function an environment with with_env().
+
+var function_kind = function (code) {
+  var keyword = /^(async\s+)?function\b\s*(\*)?/.exec(code);
+  if (keyword)              return (keyword[1] ? 1 : 0) + (keyword[2] ? 2 : 0);
+  if (/^class(?=\s|\{)(?!\s*\()/.test(code)) return 7;
+
+  // Arrow functions and methods both start with a name or a parameter list, but
+  // only arrow functions have an arrow after it. 'async' can also be a name.
+  var async = /^async(?=\s*[\w$(])\s*/.exec(code);
+  var rest  = async ? code.substr(async[0].length) : code;
+  var end   = rest.charAt(0) === '(' ? skip_brackets(rest, 0)
+                                     : (/^[\w$]*/.exec(rest))[0].length;
+
+  return /^\s*=>/.test(rest.substr(end)) ? async ? 5 : 4 : 6;
+};
 
-// Function encoding is subject to some subtle and tragic flaws. First, closure
-// state isn't preserved (nor can it be, as far as I'm aware). This means that
-// functions will lose their lexical closure variables -- invoking functions that
-// depend on these will result in ReferenceErrors.
+var function_encode = function (f, environment_id) {
+  var code = Function.prototype.toString.call(f);
+  if (/^function\b[^{]*\{\s*\[native code\]\s*\}$/.test(code))
+    throw new Error('cannot encode native or bound function ' +
+                    (f.name || '(anonymous)') + '; its code isn\'t available');
+
+  var kind        = function_kind(code);
+  var name        = escape_encode(typeof f.name === 'string' ? f.name : '');
+  var escaped     = escape_encode(kind < 4 ? code.substr(code.indexOf('('))
+                                           : code);
+  var environment = environment_id === void 0 ?
+                    '' : radix_encode(environment_id, 4);
+
+  return '@' + radix_encode(kind + (environment ? 8 : 0), 1) +
+               radix_encode(name.length, 3) + radix_encode(escaped.length, 5) +
+               environment + name + escaped;
+};
 
-// More immediately, though, there's a problem with the Function constructor.
-// Specifically, it takes a variable number of arguments depending on how many
-// arguments the function expects; that is:
+var function_constructors = (function () {
+  for (var sources = ['async function () {}', 'function* () {}',
+                      'async function* () {}'],
+           result = [Function],
+           i = 0, l = sources.length; i < l; ++i)
+    try {
+      var example = new Function('return ' + sources[i])();
+      result.push(Object.getPrototypeOf(example).constructor);
+    } catch (e) {
+      result.push(void 0);
+    }
+  return result;
+})();
 
-// | function (x, y) {return x + y}
-//   // -> new Function('x', 'y', 'return x + y')
+var function_header_length = function (s, i) {
+  return radix_decode(s.charAt(i + 1)) >= 8 ? 14 : 10;
+};
 
-// There's a trivial way around this problem; we just need to eval() some code in
-// the decoder; however, this means that the decoder is no longer secure, and
-// ensuring that the code it's evaluating isn't malicious becomes parse-complete.
+// Like constant_length() (see 'Constant lengths'), this returns the length of
+// the header if the input ends in the middle of it.
+var function_length = function (s, i) {
+  if (i + 1 >= s.length) return 2;
 
-// More devious, but ultimately a better solution, is to still use the Function
-// constructor but modify the function body to include new logic to handle incoming
-// variables. For any function that takes arguments, these two definitions are
-// equivalent:
+  var header = function_header_length(s, i);
+  return i + header > s.length ? header :
+         header + radix_decode(s.substr(i + 2, 3)) +
+                  radix_decode(s.substr(i + 5, 5));
+};
 
-// | function (x, y) {...}
-//   function () {var x = arguments[0]; var y = arguments[1]; ...}
+var function_header = function (s, i) {
+  var kind        = radix_decode(s.charAt(i + 1));
+  var start       = i + function_header_length(s, i);
+  var name_length = radix_decode(s.substr(i + 2, 3));
+  var code_length = radix_decode(s.substr(i + 5, 5));
+
+  return {kind:        kind % 8,
+          environment: kind >= 8 ? radix_decode(s.substr(i + 10, 4)) : void 0,
+          name:        escape_decode(s.substr(start, name_length)),
+          code:        escape_decode(s.substr(start + name_length,
+                                              code_length)),
+          length:      function_length(s, i)};
+};
 
-// There are only two cases where this is untrue. First, the .length property of
-// the function will differ; I can't think of a good way around this. Second, V8
-// and other statically-optimizing Javascript compilers will generate suboptimal
-// machine code for the function since its list of formals is empty.
+var function_name = function (f, name) {
+  // Older runtimes have read-only function names; we do our best.
+  if (typeof f.name === 'string' && f.name !== name)
+    try {
+      Object.defineProperty(f, 'name', {value: name, configurable: true});
+    } catch (e) {}
+  return f;
+};
 
-// In practice neither of these should matter a whole lot. I mean, you get to
-// serialize functions. How awesome is that?
+var function_decode = function (s, i, constants) {
+  var header = function_header(s, i);
+  var kind   = header.kind;
+  var code   = header.code;
 
-var function_encode = function (f) {
-  var code          = f.toString().replace(/^\s*function(\s*\w+)?/, '');
-  var escaped       = escape_encode(code);
-  var length_prefix = radix_encode(escaped.length, 4);
+  if (header.environment !== void 0) {
+    var environment = constants[header.environment];
+    if (environment === null || typeof environment !== 'object')
+      throw new Error('the environment of a function must be an object');
+
+    var f = environment_function(kind, code, environment);
+    return [with_env(function_name(f, header.name), environment),
+            header.length];
+  }
 
-  return '#' + length_prefix + escaped;
+  if (kind < 4) {
+    if (! function_constructors[kind])
+      throw new Error('this runtime cannot build functions of kind ' + kind);
+
+    var end     = skip_brackets(code, 0);
+    var formals = code.substring(1, end - 1);
+    var body    = code.substring(code.indexOf('{', end) + 1,
+                                 code.lastIndexOf('}'));
+    var f       = new function_constructors[kind](formals, body);
+  } else if (kind === 6) {
+    var holder     = new Function('return {' + code + '\n}')();
+    var key        = Reflect.ownKeys(holder)[0];
+    var descriptor = Object.getOwnPropertyDescriptor(holder, key);
+    var f          = descriptor.value || descriptor.get || descriptor.set;
+  } else if (kind <= 7)
+    var f = new Function('return (' + code + '\n)')();
+  else
+    throw new Error('unknown function kind ' + kind);
+
+  return [function_name(f, header.name), header.length];
 };
 
-var function_decode = function (s, i) {
+// Earlier versions used the '#' prefix, followed by a four-digit length and the
+// code with its 'function' keyword and name trimmed off. They rebuilt the function
+// by turning its formals into variables:
+
+// | function (x, y) {...}
+//   function () {var x = arguments[0]; var y = arguments[1]; ...}
+
+// This lost the function's .length, and it couldn't cope with default values or
+// destructuring, but it's still how we decode the '#' prefix.
+
+var legacy_function_decode = function (s, i) {
   var length  = radix_code(s.substr(i + 1, 4));
   var code    = escape_decode(s.substr(i + 5, length));
   var pieces  = /^\s*\(([^\)]*)\)\s*\{([\s\S]*)\}\s*$/.exec(code);
@@ -428,44 +955,168 @@ var function_decode = function (s, i) {
   return [new Function(body), length + 5];
 };
 
+// Safe decoding (see 'Safe decoding') can replace functions with stubs instead of
+// compiling them. The stub keeps the function's place in the object graph (and its
+// name, if it had one), but throws if anyone tries to call it.
 
-// Floating-point encoding.
-// This is a fun one. It uses some ad-hoc floating-point manipulation code and a
-// tuple entropy coder to pack lots of data into the first two bytes of the
-// serialization.
+var function_stub_decode = function (s, i) {
+  var stub = function () {
+    throw new Error('this function was stubbed out when it was decoded');
+  };
 
-// You can only encode valid floating-point numbers, which conspicuously don't
-// include infinity, negative infinity, or NaN. It also doesn't handle 0, which has
-// its own encoding.
+  if (s.charAt(i) === '#')
+    return [stub, radix_code(s.substr(i + 1, 4)) + 5];
 
-var float_encode = function (x) {
-  // First determine the mantissa sign and flip it if necessary.
-  var negative = x !== (x = Math.abs(x));
+  var header = function_header(s, i);
+  return [function_name(stub, header.name), header.length];
+};
+
+
+// Closure environments.
+// Since closures can't be serialized, a function can be given an environment
+// instead: an object whose properties it can use as though they were variables.
+
+// | var tax = rather_insane_serialization.with_env(
+//     function (price) {return price * (1 + rate)}, {rate: 0.3});
+
+// The with_env() function returns the function it was given, and the environment
+// goes wherever the function does. It's encoded like any other object, so it can
+// share things with the rest of the graph, contain cycles, or even refer to the
+// function itself (which is how a recursive function can keep calling itself by
+// name). When the function is decoded, it's evaluated inside a 'with' block over
+// the decoded environment; so it sees the environment's properties as they are
+// when it's called, and assignments to them change the environment. Anything the
+// environment doesn't define is looked up globally, as before. (The exception is
+// a class's 'extends' clause, which is evaluated while the class is being decoded;
+// at that point the environment doesn't have any properties yet.)
+
+// Environments are kept in a WeakMap, so they don't keep their functions alive.
+// Calling with_env() again replaces a function's environment, and passing null
+// removes it. Decoded functions keep the environments they were decoded with, so
+// they can be encoded again.
+
+var function_environments = typeof WeakMap === 'function' ? new WeakMap() :
+                                                            void 0;
+
+var with_env = function (f, environment) {
+  if (typeof f !== 'function')
+    throw new Error('with_env() needs a function, not ' + f);
+  if (! function_environments)
+    throw new Error('with_env() needs WeakMap, which this runtime lacks');
+
+  if (environment === null || environment === void 0)
+    function_environments['delete'](f);
+  else if (typeof environment === 'object')
+    function_environments.set(f, environment);
+  else
+    throw new Error('the environment of a function must be an object');
+
+  return f;
+};
+
+var function_environment = function (f) {
+  return function_environments && function_environments.get(f);
+};
+
+// The 'with' block needs an expression, so we put the keyword back on functions of
+// the first four kinds rather than using their constructors.
+
+var function_keywords = ['function', 'async function', 'function*',
+                         'async function*'];
+
+var environment_function = function (kind, code, environment) {
+  var source     = kind < 4 ? function_keywords[kind] + ' ' + code : code;
+  var expression = kind === 6 ? '{' + source + '\n}' : '(' + source + '\n)';
+
+  var f = new Function('environment',
+                       'with (environment) return ' + expression)(environment);
+
+  if (kind !== 6) return f;
 
-  // Next grab the floating-point exponent. To do this, we normalize the
-  // mantissa to represent a 53-bit integer whose highest bit is always set.
-  var log_2    = Math.log(2);
-  var exponent = Math.floor(Math.log(x) / log_2) - 53;
-  var mantissa = x / Math.exp(exponent * log_2) - Math.exp(53 * log_2);
+  var descriptor = Object.getOwnPropertyDescriptor(f, Reflect.ownKeys(f)[0]);
+  return descriptor.value || descriptor.get || descriptor.set;
+};
+
+
+// Floating-point encoding.
+// This is a fun one. It reads the IEEE-754 bits of the number directly (through a
+// DataView) and uses a tuple entropy coder to pack the sign, the exponent, and the
+// width of the mantissa into a small header. The 52-bit mantissa is then written
+// with as few digits as possible: trailing zero bits are dropped, and the
+// remaining bits are written with one of seven widths. This means that numbers like
+// 0.5 or 1.25 are only a few characters long, while something like 0.1 needs all
+// eight mantissa digits.
+
+// Most numbers have exponents within 2^315 or so of 1, and those fit into a
+// two-digit header with the '+' prefix. Everything else, including subnormals and
+// -0, uses a three-digit header with the 'q' prefix. Either way the bits come out
+// exactly the same as they went in.
 
-  // We sometimes lose a few bits due to rounding error.
-  if (mantissa < 0) mantissa = 0;
+// You can only encode valid floating-point numbers, which conspicuously don't
+// include infinity, negative infinity, or NaN. Positive zero has its own encoding,
+// but negative zero is encoded as a float so that its sign survives.
 
-  // Now radix-code the mantissa, and always use 8 bytes to represent it.
-  var encoded_mantissa = radix_encode(Math.round(mantissa), 8);
+var float_view = typeof DataView === 'function' && new DataView(new ArrayBuffer(8));
 
-  // Radix-code the exponent, exponent sign, and mantissa sign.
-  var exponent_negative = exponent !== (exponent = Math.abs(exponent));
-  var encoded_exponent  = radix_encode(+negative + +exponent_negative * 2 +
-                                       exponent * 4, 2);
+// The number of mantissa bits that each width of digits can hold; this is
+// floor(log2(94^width)), except that nine digits would be overkill since we never
+// store more than 52 bits.
+var float_widths        = [1, 2, 3, 4, 5,  7,  8];
+var float_mantissa_bits = [6, 13, 19, 26, 32, 45, 52];
 
-  return 'j' + encoded_exponent + encoded_mantissa;
+var float_encode = function (x) {
+  float_view.setFloat64(0, x);
+
+  var high     = float_view.getUint32(0);
+  var negative = high >>> 31;
+  var exponent = high >>> 20 & 2047;
+  var mantissa = (high & 1048575) * 4294967296 + float_view.getUint32(4);
+
+  // Pick the narrowest width that doesn't lose any bits. The widest one can
+  // always hold the whole mantissa.
+  for (var w = 0; mantissa % Math.pow(2, 52 - float_mantissa_bits[w]); ++w);
+
+  var encoded_mantissa = radix_encode(mantissa /
+                                      Math.pow(2, 52 - float_mantissa_bits[w]),
+                                      float_widths[w]);
+
+  return exponent >= 708 && exponent <= 1338 ?
+    '+' + radix_encode(negative + 2 * (w + 7 * (exponent - 708)), 2) +
+          encoded_mantissa :
+    'q' + radix_encode(negative + 2 * (w + 7 * exponent), 3) +
+          encoded_mantissa;
 };
 
 var float_decode = function (s, i) {
+  if (s.charAt(i) === 'j') return legacy_float_decode(s, i);
+
+  var wide     = s.charAt(i) === 'q';
+  var header   = radix_decode(s.substr(i + 1, wide ? 3 : 2));
+  var negative = header % 2;
+  var w        = (header >>> 1) % 7;
+  var exponent = Math.floor((header >>> 1) / 7) + (wide ? 0 : 708);
+  var start    = i + (wide ? 4 : 3);
+  var mantissa = radix_decode(s.substr(start, float_widths[w])) *
+                 Math.pow(2, 52 - float_mantissa_bits[w]);
+
+  float_view.setUint32(0, (negative << 31 | exponent << 20 |
+                           Math.floor(mantissa / 4294967296)) >>> 0);
+  float_view.setUint32(4, mantissa % 4294967296);
+
+  return [float_view.getFloat64(0), start - i + float_widths[w]];
+};
+
+// Earlier versions used the prefix 'j', a two-digit header, and an eight-digit
+// mantissa. The header held the number's sign in its lowest bit, the exponent's
+// sign in the next one, and the exponent's magnitude above that; the mantissa was
+// a 53-bit integer whose leading bit was implicit. Both ends worked out powers of
+// two with logarithms, which isn't exact, so we decode these with the same
+// arithmetic that encoded them; that gives back the numbers they were decoded as.
+
+var legacy_float_decode = function (s, i) {
   var log_2          = Math.log(2);
-  var exponent_block = radix_code(s.substr(i + 1, 2));
-  var mantissa_block = radix_code(s.substr(i + 3, 8)) + Math.exp(53 * log_2);
+  var exponent_block = radix_decode(s.substr(i + 1, 2));
+  var mantissa_block = radix_decode(s.substr(i + 3, 8)) + Math.exp(53 * log_2);
 
   var exponent = (exponent_block >>> 2) * (exponent_block & 2 ? -1 : 1);
 
@@ -476,250 +1127,3365 @@ var float_decode = function (s, i) {
 
 
 // Array encoding.
-// This is straightforward; each array is exactly one character.
+// This is straightforward; each array is exactly one character, and its elements
+// are edges in the reference graph. Elements that are missing altogether (holes)
+// just don't have edges, so they stay distinct from elements that are undefined.
 
-var array_encode = function (o)    {return '!'};
-var array_decode = function (s, i) {return [[], 1]};
+// That gives the array the right length unless it ends with holes, as arrays like
+// new Array(1000000) do. Those arrays are encoded as a 'p' followed by their
+// length in five digits.
 
+var array_encode = function (o) {
+  return ! o.length || Object.prototype.hasOwnProperty.call(o, o.length - 1) ?
+         '!' : 'p' + radix_encode(o.length, 5);
+};
 
-// Object encoding.
-// This encoder is used for regular objects; don't use it for objects with custom
-// prototypes. (Since custom-prototype objects reference the constant table,
-// they're handled directly in the encode() and decode() functions.)
+var array_decode = function (s, i) {
+  if (s.charAt(i) === '!') return [[], 1];
 
-var object_encode = function (o)    {return '"'};
-var object_decode = function (s, i) {return [{}, 1]};
+  var array    = [];
+  array.length = radix_decode(s.substr(i + 1, 5));
+  return [array, 6];
+};
 
 
+// Packed numeric arrays.
+// Arrays of numbers are common and can be huge, and encoding them element by
+// element is wasteful: each number is its own constant, and each element needs an
+// edge to it. So plain arrays of at least eight numbers, with no holes or other
+// properties, are packed into a single constant instead. This starts with a '{', a
+// digit for the kind of packing, and a five-digit length.
+
+// If every number is an integer less than 2^51 in magnitude (and none is -0), the
+// integers are written as offsets from their minimum, all with the same number of
+// digits. The header gives that number of digits, and then the minimum in nine
+// digits (twice its magnitude, plus one if it's negative). Kind 1 is the same,
+// except that it stores the first element in nine more digits, and then the
+// difference between each element and the previous one. This is a lot smaller for
+// things like timestamps and sorted IDs, and the encoder uses whichever kind is
+// shorter. Every element gets at least one digit, even if they're all the same, so
+// that a packed array can't claim more elements than the input has room for.
+
+// Other numbers are written as their IEEE-754 bytes, packed like an ArrayBuffer
+// (see 'Byte packing'). Kind 2 uses four bytes per number, which works if they all
+// survive being rounded to single precision; kind 3 uses all eight.
+
+var packed_minimum_length = 8;
+var packed_integer_limit  = Math.pow(2, 51);
+
+var is_packable = function (o) {
+  if (o.length < packed_minimum_length || o.length >= Math.pow(94, 5))
+    return false;
+
+  for (var i = 0, l = o.length; i < l; ++i)
+    if (typeof o[i] !== 'number' ||
+        ! Object.prototype.hasOwnProperty.call(o, i))
+      return false;
+
+  return Object.keys(o).length === o.length &&
+         (float_view || packed_integers(o));
+};
 
+var packed_integers = function (o) {
+  for (var i = 0, l = o.length; i < l; ++i)
+    if (o[i] % 1 !== 0 || Math.abs(o[i]) >= packed_integer_limit ||
+        1 / o[i] === -1 / 0)
+      return false;
+  return true;
+};
 
+var signed_encode = function (n) {
+  return radix_encode(2 * Math.abs(n) + (n < 0 ? 1 : 0), 9);
+};
 
-// Reference graph encoding and decoding.
-// These functions mark objects using a 'secret key' -- that is, a constant string
-// that is astronomically unlikely to exist in an object already. (The odds are
-// equivalent to guessing a 128-bit encryption key.)
-
-var encode = function (x) {
-  // Generate a secret key that is used to identify boxed objects. Each
-  // character is base-94, so it provides 6.5 bits of entropy. This means that
-  // we need a total of 20 to get 128 bits.
-  for (var key = '',
-           i = 0; i < 20; ++i)
-    key += String.fromCharCode((Math.random() * 95 >>> 0) + 33);
+var signed_decode = function (s, i) {
+  var n = radix_decode(s.substr(i, 9));
+  return n % 2 ? -(n - 1) / 2 : n / 2;
+};
 
-  // Model of the constant table and indexes; these are built during the
-  // traversal phase.
-  var strings   = {};
-  var constants = [false, true, null, void 0, '' / '', 1 / 0, -1 / 0, '', 0];
+var packed_integer_encode = function (values, kind, first) {
+  for (var min = values[0], max = values[0],
+           i = 1, l = values.length; i < l; ++i) {
+    min = Math.min(min, values[i]);
+    max = Math.max(max, values[i]);
+  }
 
-  var graph  = {};
-  var marked = [];
+  var width  = max > min ? radix_entropy(max - min) : 1;
+  var header = kind === 1 ? radix_encode(l + 1, 5) + radix_encode(width, 1) +
+                            signed_encode(min) + signed_encode(first)
+                          : radix_encode(l, 5) + radix_encode(width, 1) +
+                            signed_encode(min);
 
-  // Create a graph link. For things of the form object.prop = value, 'prop'
-  // is linked to a string in the constant table rather than being encoded
-  // directly. This mitigates the impact of large property names.
-  var link = function (object, property, value) {
-    var converted_property = /^\d+$/.test(property) ? +property : property;
+  for (var result = ['{' + radix_encode(kind, 1) + header],
+           i = 0; i < l; ++i)
+    result.push(radix_encode(values[i] - min, width));
 
-    var id = visit(object);
-    graph[id] || (graph[id] = []);
-    graph[id].push([visit(converted_property), visit(value)]);
-    return object;
-  };
+  return result.join('');
+};
 
-  // Visit each of the fields in an object-like thing. This is used for anything
-  // that is likely to have a box. The fields are sorted to guarantee stability;
-  // the same object should always be serialized the same way.
-  var visit_fields = function (o) {
-    var sorted_fields = [];
-    for (var k in o)
-      if (Object.hasOwnProperty.call(o, k) && k !== key)
-        sorted_fields.push(k);
+var packed_encode = function (o) {
+  if (packed_integers(o)) {
+    for (var deltas = [],
+             i = 1, l = o.length; i < l; ++i)
+      deltas.push(o[i] - o[i - 1]);
 
-    sorted_fields.sort();
-    for (var i = 0, l = sorted_fields.length, k; i < l; ++i)
-      link(o, k = sorted_fields[i], o[k]);
+    var plain = packed_integer_encode(o, 0);
+    var delta = packed_integer_encode(deltas, 1, o[0]);
+    return delta.length < plain.length ? delta : plain;
+  }
 
-    return o;
-  };
+  for (var single = typeof Math.fround === 'function',
+           i = 0, l = o.length; i < l && single; ++i)
+    single = Math.fround(o[i]) === o[i] || o[i] !== o[i];
 
-  // Takes an object, identifies it, and returns that identification. For
-  // objects, arrays, and functions, the property table is scanned and each
-  // property is visited by the mark() function below. This is done in such a
-  // way that circular references are recorded but don't cause infinite loops.
-  var visit = function (o) {
-    if (o === null)   return 2;
-    if (o === void 0) return 3;
+  var size = single ? 4 : 8;
+  var view = new DataView(new ArrayBuffer(o.length * size));
+  for (var i = 0, l = o.length; i < l; ++i)
+    single ? view.setFloat32(i * size, o[i]) : view.setFloat64(i * size, o[i]);
 
-    if (o.constructor === Boolean)
-      return +o;
+  return '{' + radix_encode(single ? 2 : 3, 1) + radix_encode(o.length, 5) +
+               bytes_encode(new Uint8Array(view.buffer));
+};
 
-    if (o.constructor === Number)
-      if (o === 0)                  return 8;
-      else if (o === Math.floor(o)) return constants.push(integer_encode(o)) - 1;
-      else if (isNaN(o))            return 4;
-      else if (! isFinite(o))       return 5 + +(o < 0);
-      else                          return constants.push(float_encode(o)) - 1;
+// Like constant_length() (see 'Constant lengths'), this returns the length of
+// the header if the input ends in the middle of it.
+var packed_header_length = [17, 26, 7, 7];
 
-    if (o.constructor === String)
-      if (o.length)
-        // Update the string table so that we reuse strings when possible. Prefix
-        // the index with the secret key to bypass any IE-related prototype bugs.
-        return strings[key + o] ||
-               (strings[key + o] = constants.push(string_encode(o)) - 1);
-      else
-        return 7;       // Offset of the empty string
+var packed_length = function (s, i) {
+  var kind   = radix_decode(s.charAt(i + 1));
+  var length = radix_decode(s.substr(i + 2, 5));
+  var header = packed_header_length[kind] || 7;
 
-    return mark(o);
-  };
+  return i + header > s.length ? header :
+         kind === 0 ? header + length * radix_decode(s.charAt(i + 7)) :
+         kind === 1 ? header + Math.max(0, length - 1) *
+                               radix_decode(s.charAt(i + 7))
+                    : header + bytes_length(length * (kind === 2 ? 4 : 8));
+};
 
-  // Adds an object to the constant table and traverses its children.
-  var mark = function (o) {
-    // No need to revisit an object we've already seen. I'm doing the
-    // hasOwnProperty check here because we mark prototypes; if the prototype of
-    // an object is marked, then it will appear to have a key even when it
-    // doesn't really.
-    if (Object.prototype.hasOwnProperty.call(o, key)) return o[key];
+var packed_decode = function (s, i) {
+  var kind   = radix_decode(s.charAt(i + 1));
+  var length = radix_decode(s.substr(i + 2, 5));
+
+  if (kind < 2) {
+    var width  = radix_decode(s.charAt(i + 7));
+    var min    = signed_decode(s, i + 8);
+    var offset = i + packed_header_length[kind];
+
+    if (! width)
+      throw new Error('packed integers need at least one digit each');
+
+    var result = new Array(length);
+
+    if (kind === 0)
+      for (var j = 0; j < length; ++j, offset += width)
+        result[j] = min + radix_decode(s.substr(offset, width));
+    else if (length)
+      for (var j = 1, previous = result[0] = signed_decode(s, i + 17);
+           j < length; ++j, offset += width)
+        result[j] = previous += min + radix_decode(s.substr(offset, width));
+  } else if (kind < 4) {
+    var size   = kind === 2 ? 4 : 8;
+    var view   = new DataView(bytes_decode(s, i + 7, length * size).buffer);
+    var result = new Array(length);
+
+    for (var j = 0; j < length; ++j)
+      result[j] = size === 4 ? view.getFloat32(j * 4) : view.getFloat64(j * 8);
+  } else
+    throw new Error('unknown kind of packed array ' + kind);
+
+  return [result, packed_length(s, i)];
+};
 
-    marked.push(o);
 
-    // Create the constant table entry. This has to happen first because
-    // visiting an object's fields might re-enter this function and disrupt any
-    // space we might have allocated.
-    var use = function (encoder) {
-      return o[key] = constants.push(encoder(o)) - 1;
-    };
+// Object encoding.
+// This encoder is used for regular objects; don't use it for objects with custom
+// prototypes. (Since custom-prototype objects reference the constant table,
+// they're handled directly in the encode() and decode() functions.)
 
-    // Use various encoders for the different kinds of objects.
-    if (o.constructor === Object)        use(object_encode);
-    else if (o.constructor === Array)    use(array_encode);
-    else if (o.constructor === Date)     use(date_encode);
-    else if (o.constructor === RegExp)   use(regexp_encode);
-    else if (o.constructor === Function) use(function_encode);
+var object_encode = function (o)    {return '"'};
+var object_decode = function (s, i) {return [{}, 1]};
 
-    else
-      // We have a custom object type, which is unsupported in this version.
-      throw new Error('due to implementation lameness, classes are not yet ' +
-                      'supported: ' + o);
 
-    visit_fields(o);
+// Null-prototype objects and boxed primitives.
+// Objects made with Object.create(null) are often used as dictionaries, since they
+// don't inherit anything. They're encoded as the single character '.', and their
+// properties are linked just like those of regular objects.
+
+// Boxed primitives (things like new Number(3)) are objects, so they have their own
+// identity and can have properties of their own. They're encoded as a ':', a digit
+// for the type of primitive (0 for booleans, 1 for numbers, 2 for strings, 3 for
+// BigInts, and 4 for symbols), and the four-digit constant table index of the
+// primitive inside. (So a boxed symbol can only be encoded if the symbol itself
+// can; see 'Symbol encoding'.)
+// We identify boxes by asking the type's valueOf() to unbox them, which works only
+// on real boxes no matter what their prototype says. The characters of a boxed
+// string aren't linked as properties, since the string already has them.
+
+var null_object_encode = function (o)    {return '.'};
+var null_object_decode = function (s, i) {return [Object.create(null), 1]};
+
+var boxed_types        = ['boolean', 'number', 'string', 'bigint', 'symbol'];
+var boxed_constructors = [Boolean, Number, String,
+                          typeof BigInt === 'function' ? BigInt : void 0,
+                          typeof Symbol === 'function' ? Symbol : void 0];
+
+var boxed_kind = function (o) {
+  for (var i = 0, l = boxed_constructors.length; i < l; ++i)
+    if (boxed_constructors[i])
+      try {
+        boxed_constructors[i].prototype.valueOf.call(o);
+        return i;
+      } catch (e) {}
+  return -1;
+};
 
-    return o[key];
-  };
+var boxed_value = function (o) {
+  return boxed_constructors[boxed_kind(o)].prototype.valueOf.call(o);
+};
 
-  // Visit the object that we want to serialize. This will side-effectfully
-  // populate the constant table and the reference graph.
-  var id = visit(x);
+var boxed_encode = function (o, value_id) {
+  return ':' + radix_encode(boxed_kind(o), 1) + radix_encode(value_id, 4);
+};
 
-  // Unmark all of the objects we annotated. Because the key couldn't have
-  // collided in the first place, we know it's ok to just delete it.
-  for (var i = 0, l = marked.length; i < l; ++i)
-    delete marked[i][key];
+var boxed_decode = function (s, i, constants) {
+  var kind  = radix_decode(s.charAt(i + 1));
+  var value = constants[radix_decode(s.substr(i + 2, 4))];
 
-  // Serialize the reference graph. The first entry here is the length, which is
-  // incremented for every object we serialize. As per the spec, all integer
-  // serializations are adjusted to contain just enough entropy to encode any
-  // constant.
-  var constant_width = radix_entropy(constants.length - 1);
-  var reference_graph = [0];
-  for (var k in graph)
-    if (Object.hasOwnProperty.call(graph, k)) {
-      var edges = graph[k];
+  if (typeof value !== boxed_types[kind])
+    throw new Error('a boxed ' + boxed_types[kind] + ' must contain one');
 
-      ++reference_graph[0];
-      reference_graph.push(radix_encode(+k, constant_width));
-      reference_graph.push(radix_encode(edges.length, constant_width));
+  return [Object(value), 6];
+};
 
-      for (var i = 0, l = edges.length; i < l; ++i) {
-        reference_graph.push(radix_encode(edges[i][0], constant_width));
-        reference_graph.push(radix_encode(edges[i][1], constant_width));
-      }
-    }
 
-  reference_graph[0] = radix_encode(reference_graph[0], 4);
+// Instance encoding.
+// Instances of registered classes (see 'Class registry') are encoded as a '%'
+// followed by the class name, which is string-encoded. Their fields are linked from
+// the reference section just like those of regular objects. The decoder creates the
+// instance with Object.create() rather than calling the constructor, since the
+// constructor might have side effects or require arguments we don't have.
+
+// That isn't enough for classes that extend arrays, maps, sets, or errors, whose
+// instances need the internals of the built-in: an object made with
+// Object.create(Array.prototype) isn't an array. Those are made by the built-in
+// constructor with Reflect.construct(), which gives them the class's prototype
+// without calling the class. (Errors then lose the properties that the built-in
+// gave them, as in 'Error encoding'.) Other built-ins, such as dates and buffers,
+// keep their contents in their constants, which an instance doesn't have; so
+// register() refuses classes that extend them.
+
+// If the decoder doesn't know about the class, it either fails or, if the
+// 'unregistered' option is 'object', falls back to a plain object.
+
+var instance_builtins = function () {
+  return [Array, global_object.Map, global_object.Set]
+           .concat(error_constructors);
+};
 
-  // And that's all! We now have the complete constant table and the complete
-  // reference graph, so we just serialize each one and put them back to back.
-  return radix_encode(constants.length - 9, 4) +
-         radix_encode(id, 4) +
-         constants.slice(9).join('') +
-         reference_graph.join('');
+var opaque_builtins = function () {
+  return [Date, RegExp, global_object.ArrayBuffer]
+           .concat(boxed_constructors, view_constructors);
 };
 
-var decode = function (s) {
-  // Decodes something based on the prefix and returns it, along with the number
-  // of characters that should be skipped.
-  var decode_one = function (s, i) {
-    var prefix      = s.charAt(i);
-    var prefix_code = prefix.charCodeAt(0);
+var nearest_builtin = function (constructor, builtins) {
+  for (var p = constructor.prototype; p; p = Object.getPrototypeOf(p))
+    for (var i = 0, l = builtins.length; i < l; ++i)
+      if (builtins[i] && p === builtins[i].prototype)
+        return builtins[i];
+};
 
-    if (prefix === '!')               return array_decode(s, i);
-    else if (prefix === '"')          return object_decode(s, i);
-    else if (prefix === 'j')          return float_decode(s, i);
-    else if (prefix === 'J')          return date_decode(s, i);
-    else if (/[r-y]/.test(prefix))    return regexp_decode(s, i);
-    else if (/[a-iA-I]/.test(prefix)) return integer_decode(s, i);
+var instance_encode = function (o, name) {
+  return '%' + string_encode(name);
+};
 
-    else if (prefix === '$' ||
-             prefix_code >= 74 &&
-             prefix_code <= 96)       return string_decode(s, i);
+var instance_decode = function (s, i, options) {
+  var parsed      = string_decode(s, i + 1);
+  var constructor = registered_constructor(parsed[0]);
+  var builtin     = constructor && nearest_builtin(constructor,
+                                                   instance_builtins());
+
+  if (builtin && is_error(builtin.prototype))
+    return [bare_error(builtin, constructor), parsed[1] + 1];
+  else if (builtin)
+    return [Reflect.construct(builtin, [], constructor), parsed[1] + 1];
+  else if (constructor)
+    return [Object.create(constructor.prototype), parsed[1] + 1];
+  else if (options.unregistered === 'object')
+    return [{}, parsed[1] + 1];
+  else
+    throw new Error('cannot decode an instance of unregistered class ' +
+                    parsed[0]);
+};
 
-    else if (prefix === '#')          return function_decode(s, i);
 
-    else throw new Error('invalid prefix: ' + prefix);
-  };
+// Error encoding.
+// Errors are encoded as an 'o' prefix followed by one digit for the kind of error:
 
-  // Remove all invalid characters from the original string.
-  for (var valid = [],
-           i = 0, l = s.length; i < l; ++i)
-    if (s.charCodeAt(i) >= 33 && s.charCodeAt(i) <= 126)
-      valid.push(s.charAt(i));
+// | 0: Error        3: ReferenceError    6: URIError
+//   1: EvalError    4: SyntaxError       7: AggregateError
+//   2: RangeError   5: TypeError
 
-  s = valid.join('');
+// Instances of other Error subclasses are encoded as the nearest of these in their
+// prototype chain (unless the subclass is registered, in which case it's handled
+// like any other class). The decoder calls the constructor to get a real error,
+// and then removes the stack and other properties that the constructor added, so
+// that the error ends up with only the properties it was encoded with.
 
-  // Reconstruct the constant table.
-  var encoded_constants = ['', '', '', '', '', '', '', '', ''];
+// An error's message, stack, cause, and errors are usually own properties that
+// aren't enumerable, so encode() links them from the reference graph explicitly,
+// along with its name if that isn't the one its kind would give it. The decoder
+// defines them as non-enumerable properties again. Everything else an error has is
+// linked just like the fields of any other object.
 
-  var constants = [false, true, null, void 0, '' / '', 1 / 0, -1 / 0, '', 0];
-  var result_id = radix_decode(s.substr(4, 4));
+var error_constructors = [Error, EvalError, RangeError, ReferenceError,
+                          SyntaxError, TypeError, URIError,
+                          typeof AggregateError === 'function' ?
+                            AggregateError : void 0];
 
-  for (var position = 8,
-           i = radix_decode(s.substr(0, 4)) - 1; i >= 0; --i) {
-    var parsed = decode_one(s, position);
-    encoded_constants.push(s.substring(position, position += parsed[1]));
-    constants.push(parsed[0]);
-  }
+var error_properties = ['message', 'stack', 'cause', 'errors', 'name'];
 
-  // Reconstruct the constant width. This is used for all of the entries in the
-  // reference table.
-  var w = radix_entropy(constants.length - 1);
-
-  // We don't actually need to rebuild the reference graph as a structure.
-  // Instead, we can just connect the edges as we decode them.
-  for (var i = radix_decode(s.substring(position, position += 4)) - 1;
-           i >= 0; --i) {
-    var base = constants[radix_decode(s.substring(position,
-                                                  position += w))];
-
-    // Deserialize object groups, each one of which has one or many links.
-    for (var j = radix_decode(s.substring(position, position += w)) - 1;
-             j >= 0; --j) {
-      var property = constants[radix_decode(s.substring(position,
-                                                        position += w))];
-      var value    = constants[radix_decode(s.substring(position,
-                                                        position += w))];
-      base[property] = value;
-    }
+var is_error = function (o) {
+  return o instanceof Error ||
+         Object.prototype.toString.call(o) === '[object Error]';
+};
+
+var is_error_property = function (k) {
+  for (var i = 0, l = error_properties.length; i < l; ++i)
+    if (error_properties[i] === k) return true;
+  return false;
+};
+
+var error_kind = function (o) {
+  for (var p = o; p; p = Object.getPrototypeOf(p))
+    for (var i = 0, l = error_constructors.length; i < l; ++i)
+      if (has_prototype(p, error_constructors[i]))
+        return i;
+  return 0;
+};
+
+var error_encode = function (o) {
+  return 'o' + radix_encode(error_kind(o), 1);
+};
+
+var error_decode = function (s, i) {
+  var constructor = error_constructors[radix_decode(s.charAt(i + 1))];
+  if (! constructor)
+    throw new Error('this runtime does not support the kind of error at ' + i);
+  return [bare_error(constructor, constructor), 2];
+};
+
+// An error made by one of the built-in constructors, with the prototype of
+// 'target' (which is a subclass of it, or the same constructor).
+var bare_error = function (constructor, target) {
+  var error = Reflect.construct(constructor,
+                                constructor === error_constructors[7] ? [[]]
+                                                                      : [],
+                                target);
+  for (var j = 0, l = error_properties.length; j < l; ++j)
+    if (Object.prototype.hasOwnProperty.call(error, error_properties[j]))
+      delete error[error_properties[j]];
+  return error;
+};
+
+
+// Tagged values.
+// A replacer can turn a value into a tagged value by calling
+// rather_insane_serialization.tag(name, value). This is a way to encode something
+// in a custom form that a reviver can recognize and turn back into the original.
+// Tagged values are encoded as a '*' prefix, and their tag and value are linked
+// from the reference section just like the fields of an object. (So the value can
+// be anything serializable.) A tagged value that isn't revived comes out of
+// decode() as a Tagged instance with the same 'tag' and 'value' fields.
+
+// A replacer or reviver can also return rather_insane_serialization.omit to drop
+// the value altogether.
+
+var Tagged = function (tag, value) {
+  this.tag   = tag;
+  this.value = value;
+};
+
+var tag       = function (name, value) {return new Tagged(name, value)};
+var is_tagged = function (x)           {return x instanceof Tagged};
+var omit      = {};
+
+var tagged_encode = function (o)    {return '*'};
+var tagged_decode = function (s, i) {return [new Tagged(), 1]};
+
+
+// Property descriptors.
+// If encode() is given the 'descriptors' option, it records each property's full
+// descriptor rather than just its value. Properties that are plain (writable,
+// enumerable, and configurable data properties) are linked as usual, but any
+// other property is linked to a descriptor constant: a '>' followed by one digit
+// of flags. The flags are 1 for enumerable, 2 for configurable, 4 for writable,
+// and 8 for accessors. A descriptor's value, getter, and setter are linked from
+// it as the fields 'value', 'get', and 'set', so getters and setters are encoded
+// like any other function.
+
+// The decoder collects these while it connects the reference graph and then
+// defines the properties once the whole graph is there.
+
+var Descriptor = function (flags) {
+  this.flags = flags;
+};
+
+var descriptor_flags = function (d) {
+  return (d.enumerable   ? 1 : 0) |
+         (d.configurable ? 2 : 0) |
+         (d.writable     ? 4 : 0) |
+         ('value' in d ? 0 : 8);
+};
+
+var descriptor_properties = function (d) {
+  return d.flags & 8 ? {get:          d.get,
+                        set:          d.set,
+                        enumerable:   !! (d.flags & 1),
+                        configurable: !! (d.flags & 2)}
+                     : {value:        d.value,
+                        writable:     !! (d.flags & 4),
+                        enumerable:   !! (d.flags & 1),
+                        configurable: !! (d.flags & 2)};
+};
+
+var descriptor_encode = function (o) {
+  return '>' + radix_encode(o.flags, 1);
+};
+
+var descriptor_decode = function (s, i) {
+  var flags = radix_decode(s.charAt(i + 1));
+  if (flags > 15 || flags & 8 && flags & 4)
+    throw new Error('invalid descriptor flags ' + flags);
+  return [new Descriptor(flags), 2];
+};
+
+
+// Deletions.
+// Session messages (see 'Sessions') have to be able to say that a property, map
+// entry, or set element has gone away since the last message. They do this with an
+// edge whose value is the deleted marker, which is encoded as the single character
+// '-'. The decoder never assigns the marker to anything.
+
+var Deletion = function () {};
+var deleted  = new Deletion();
+
+var deletion_encode = function (o)    {return '-'};
+var deletion_decode = function (s, i) {return [deleted, 1]};
+
+
+// Map and set encoding.
+// Like arrays, maps and sets are encoded as single characters and their contents
+// are described in the reference section. Each map entry becomes an edge whose slot
+// is the key and whose value is the value; each set element becomes an edge whose
+// slot is the element and whose value is 'true'. Since keys can be any value at
+// all, map and set entries are linked verbatim rather than being converted the way
+// property names are. Edges are emitted in iteration order, so insertion order is
+// preserved.
+
+// Because a map's edges describe its entries, other properties of maps and sets
+// aren't serialized.
+
+var map_encode = function (o)    {return '&'};
+var map_decode = function (s, i) {return [new Map(), 1]};
+
+var set_encode = function (o)    {return "'"};
+var set_decode = function (s, i) {return [new Set(), 1]};
+
+var is_map = function (o) {return typeof Map === 'function' && o instanceof Map};
+var is_set = function (o) {return typeof Set === 'function' && o instanceof Set};
+
+
+// Binary data encoding.
+// ArrayBuffers are encoded as a '(' prefix, a five-digit byte length, and the
+// packed bytes (see 'Byte packing'). Typed arrays and DataViews don't contain any
+// data of their own; they're windows onto a buffer. So each view is encoded as a
+// ')' prefix followed by one digit for the kind of view, the four-digit constant
+// index of its buffer, and five digits each for its byte offset and its length
+// (in elements, or in bytes for a DataView). This way views that share a buffer
+// still share it after decoding.
+
+// Bytes are stored in whatever order the platform uses, which in practice is
+// little-endian everywhere. Properties other than the data itself aren't
+// serialized.
+
+// New kinds of views must be added to the end of this list, since the position of
+// each one is part of the encoding.
+
+var global_object = Function('return this')();
+
+var view_constructors = (function () {
+  for (var names = ['Int8Array',  'Uint8Array',  'Uint8ClampedArray',
+                    'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+                    'Float32Array', 'Float64Array',
+                    'BigInt64Array', 'BigUint64Array', 'DataView',
+                    'Float16Array'],
+           result = [],
+           i = 0, l = names.length; i < l; ++i)
+    result.push(global_object[names[i]]);
+  return result;
+})();
+
+var view_kind = function (o) {
+  if (typeof ArrayBuffer === 'function' && ArrayBuffer.isView(o))
+    for (var i = 0, l = view_constructors.length; i < l; ++i)
+      if (has_prototype(o, view_constructors[i]))
+        return i;
+  return -1;
+};
+
+var is_buffer = function (o) {
+  return has_prototype(o, global_object.ArrayBuffer);
+};
+
+var buffer_encode = function (o) {
+  return '(' + radix_encode(o.byteLength, 5) + bytes_encode(new Uint8Array(o));
+};
+
+var buffer_decode = function (s, i) {
+  var length = radix_decode(s.substr(i + 1, 5));
+  return [bytes_decode(s, i + 6, length).buffer, bytes_length(length) + 6];
+};
+
+var view_encode = function (o, buffer_id) {
+  var length = o.length === void 0 ? o.byteLength : o.length;
+  return ')' + radix_encode(view_kind(o), 1) + radix_encode(buffer_id, 4) +
+         radix_encode(o.byteOffset, 5) + radix_encode(length, 5);
+};
+
+var view_decode = function (s, i, constants) {
+  var constructor = view_constructors[radix_decode(s.charAt(i + 1))];
+  var index       = radix_decode(s.substr(i + 2, 4));
+  var buffer      = constants[index];
+
+  if (! constructor)
+    throw new Error('this platform does not support the kind of view at ' + i);
+  if (! buffer || typeof buffer !== 'object' || ! is_buffer(buffer))
+    throw new Error('a view must refer to a buffer before it, not constant ' +
+                    index);
+
+  return [new constructor(buffer, radix_decode(s.substr(i + 6, 5)),
+                                  radix_decode(s.substr(i + 11, 5))),
+          16];
+};
+
+
+// Constant lengths.
+// The decoder sometimes needs to know how long a constant is without decoding it;
+// for example, to make sure that the input contains the whole thing. This function
+// works out the length from the prefix and whatever length fields follow it. If
+// the input ends before the length fields do, it returns the length of the header
+// instead, which is still enough to tell that the constant is incomplete. Unknown
+// prefixes have a length of -1.
+
+var constant_length = function (s, i) {
+  var prefix = s.charAt(i);
+  var code   = s.charCodeAt(i);
+
+  // Constants whose header ends in a length field; 'body' converts the field's
+  // value to the length of the rest of the constant.
+  var sized = function (header, width, body) {
+    return i + header > s.length ? header :
+           header + body(radix_decode(s.substr(i + header - width, width)));
+  };
+
+  var verbatim = function (n) {return n};
+  var mantissa = function (h) {return float_widths[(h >>> 1) % 7]};
+
+  if (/^[!"*&']$/.test(prefix))        return 1;
+  else if (prefix === 'o')             return 2;
+  else if (prefix === '.')             return 1;
+  else if (prefix === '>')             return 2;
+  else if (prefix === '-')             return 1;
+  else if (prefix === ':')             return 6;
+  else if (prefix === 'p')             return 6;
+  else if (prefix === '{')             return i + 2 > s.length ? 2 :
+                                              packed_length(s, i);
+  else if (prefix === 'J')             return 8;
+  else if (prefix === 'm')             return 10;
+  else if (prefix === 'n')             return 1;
+  else if (prefix === ')')             return 16;
+  else if (/^[a-iA-I]$/.test(prefix))  return prefix.toUpperCase()
+                                                    .charCodeAt(0) - 64;
+  else if (code >= 74 && code <= 96)   return code - 73;
+  else if (prefix === '$')             return sized(6, 5, verbatim);
+  else if (prefix === 'k' ||
+           prefix === 'l')             return sized(6, 5, verbatim);
+  else if (/^[r-y]$/.test(prefix))     return sized(5, 4, verbatim);
+  else if (prefix === 'z')             return sized(7, 4, verbatim);
+  else if (prefix === '#')             return sized(5, 4, verbatim);
+  else if (prefix === '@')             return function_length(s, i);
+  else if (prefix === '(')             return sized(6, 5, bytes_length);
+  else if (prefix === '+')             return sized(3, 2, mantissa);
+  else if (prefix === 'j')             return 11;
+  else if (prefix === 'q')             return sized(4, 3, mantissa);
+  else if (prefix === '%')             return i + 1 >= s.length ? 2 :
+                                              /^[$K-`]$/.test(s.charAt(i + 1)) ?
+                                              1 + constant_length(s, i + 1) : -1;
+  else if (prefix === '<')             return i + 2 >= s.length ? 3 :
+                                              s.charAt(i + 2) === 'J' ? 3 :
+                                              /^[$K-`]$/.test(s.charAt(i + 2)) ?
+                                              2 + constant_length(s, i + 2) : -1;
+  else                                 return -1;
+};
+
+// A few constants refer to other constants by index: boxed primitives to their
+// value, views to their buffer, and functions to their environment. The
+// constant_reference() function returns that index, or -1 for constants that
+// don't refer to anything, so that open() can decode the other constant first
+// (see 'Lazy decoding').
+
+var constant_reference = function (s, i) {
+  var prefix = s.charAt(i);
+
+  if (prefix === ':' || prefix === ')')
+    return radix_decode(s.substr(i + 2, 4));
+  if (prefix === '@' && radix_decode(s.charAt(i + 1)) >= 8)
+    return radix_decode(s.substr(i + 10, 4));
+  return -1;
+};
+
+
+
+
+
+// Class registry.
+// Instances of custom classes can't be reconstructed from their fields alone; the
+// decoder also needs to know which prototype to give them. Since there's no
+// portable way to serialize a constructor (and it wouldn't be the same constructor
+// on the other side anyway), both sides register their classes under a shared
+// name:
+
+// | rather_insane_serialization.register('Point', Point);
+
+// Registered names end up in the constant table, so they should be stable across
+// versions of your code. Registering a name a second time replaces the old
+// constructor, which is handy if you're reloading code. Classes that extend
+// built-ins whose contents can't be linked as fields, such as Date or Uint8Array,
+// can't be registered (see 'Instance encoding').
+
+var registered_names        = [];
+var registered_constructors = [];
+
+var register = function (name, constructor) {
+  if (typeof name !== 'string' || ! name.length)
+    throw new Error('class names must be nonempty strings: ' + String(name));
+  if (typeof constructor !== 'function' || ! constructor.prototype)
+    throw new Error('cannot register ' + name + ' without a constructor');
+
+  var opaque = nearest_builtin(constructor, opaque_builtins());
+  if (opaque)
+    throw new Error('cannot register ' + name + ': instances of classes that ' +
+                    'extend ' + opaque.name + ' can\'t be encoded');
+
+  for (var i = 0, l = registered_names.length; i < l; ++i)
+    if (registered_names[i] === name) {
+      registered_constructors[i] = constructor;
+      return constructor;
+    }
+
+  registered_names.push(name);
+  registered_constructors.push(constructor);
+  return constructor;
+};
+
+var registered_name = function (o) {
+  for (var i = 0, l = registered_constructors.length; i < l; ++i)
+    if (has_prototype(o, registered_constructors[i]))
+      return registered_names[i];
+};
+
+var registered_constructor = function (name) {
+  for (var i = 0, l = registered_names.length; i < l; ++i)
+    if (registered_names[i] === name)
+      return registered_constructors[i];
+};
+
+
+// Identifying classes.
+// An object's 'constructor' property is just a property; it can be shadowed by an
+// own property (think of a record with a field called 'constructor') or missing
+// altogether, as it is for objects made with Object.create(null). So we identify
+// an object's class by its prototype instead, which can't be faked as easily.
+
+var has_prototype = function (o, constructor) {
+  return typeof constructor === 'function' &&
+         Object.getPrototypeOf(o) === constructor.prototype;
+};
+
+
+
+
+
+// Errors.
+// Decoding can fail in a few well-defined ways, and each one gets its own error
+// type so that callers can tell them apart from each other (and from bugs). These
+// are real Error subclasses (or subclasses of each other, if a parent is given);
+// anything passed in 'details' is copied onto the error, so handlers can inspect
+// it rather than parsing the message.
+
+var error_type = function (name, parent) {
+  var type = function (message, details) {
+    this.message = message;
+    for (var k in details)
+      if (Object.prototype.hasOwnProperty.call(details, k))
+        this[k] = details[k];
+
+    if (Error.captureStackTrace) Error.captureStackTrace(this, type);
+    else                         this.stack = name + ': ' + message;
+  };
+
+  type.prototype             = Object.create((parent || Error).prototype);
+  type.prototype.constructor = type;
+  type.prototype.name        = name;
+  return type;
+};
+
+// A DecodeError means that the input is malformed: it was truncated, has an
+// invalid prefix, refers to constants that don't exist, or something along those
+// lines. Its properties say where the problem is; see 'Decoding errors'.
+
+var DecodeError = error_type('DecodeError');
+
+// A PolicyError means that the input violated one of the limits of a safe decode
+// (see 'Safe decoding'). Its 'policy' property names the option responsible, and
+// its 'limit' property, where there is one, gives the limit that was exceeded.
+// PolicyErrors are DecodeErrors too, so they say where the problem is.
+
+var PolicyError = error_type('PolicyError', DecodeError);
+
+
+
+
+
+// Reference graph encoding and decoding.
+// These functions keep track of the objects they've seen using a Map from each
+// object to its constant table index. (An earlier version wrote a secret key onto
+// every object instead, which didn't work for frozen objects and triggered any
+// setters or proxy traps that happened to be lying around.) The input is never
+// modified, so encoding the same value twice produces the same output.
+
+// If the 'integrity' option is set, encode() also records which objects are
+// frozen, sealed, or non-extensible, and decode() restores that state once it has
+// connected the graph. This information goes into an integrity section after the
+// reference graph; see 'Integrity section' in the design notes.
+
+var integrity_level = function (o) {
+  return Object.isFrozen(o)       ? 3 :
+         Object.isSealed(o)       ? 2 :
+         ! Object.isExtensible(o) ? 1 : 0;
+};
+
+var restore_integrity = function (o, level) {
+  if (level === 3)      Object.freeze(o);
+  else if (level === 2) Object.seal(o);
+  else if (level === 1) Object.preventExtensions(o);
+};
+
+// Property names that look like array indexes are encoded as integers, which are
+// usually shorter than the strings would be. Only canonical numbers qualify:
+// '01' and '1e3' stay strings, and so does anything too long to be exact. (Symbols
+// stay symbols, of course.)
+
+var index_slot = function (k) {
+  return typeof k !== 'symbol' && /^(0|[1-9]\d{0,14})$/.test(k) ? +k : k;
+};
+
+// Arrays keep track of the next index as their edges are connected, and an edge
+// whose slot is the constant 'undefined' goes at that index. This means that most
+// array elements don't need slot constants of their own; only the first element
+// after a hole does. (Array keys are always strings or integers, so no other edge
+// can have this slot.)
+
+var next_element = 3;
+
+// With the 'descriptors' option, encode() records the descriptor of every property
+// that isn't plain (see 'Property descriptors'), including the non-enumerable ones
+// and the ones with symbol keys. Some properties are part of what the constant
+// itself encodes, though, so they're left out: a function's name and length, for
+// example, or an array's length.
+
+var is_plain_property = function (o, k) {
+  return descriptor_flags(Object.getOwnPropertyDescriptor(o, k)) === 7;
+};
+
+var intrinsic_properties = function (o, boxed) {
+  return typeof o === 'function'    ? ['length', 'name', 'prototype',
+                                       'arguments', 'caller'] :
+         o instanceof Array ||
+         boxed === 2                ? ['length'] :
+         has_prototype(o, RegExp)   ? ['lastIndex'] : [];
+};
+
+// The constant table always begins with the same nine constants; see 'Constant
+// table'.
+
+var fixed_constants = function () {
+  return [false, true, null, void 0, '' / '', 1 / 0, -1 / 0, '', 0];
+};
+
+var encoder = function (x, options, session) {
+  options || (options = {});
+
+  // Model of the constant table and indexes; these are built during the
+  // traversal phase. A session keeps them from one message to the next, so
+  // this message's constants start at 'base'. So does a dictionary, whose
+  // strings come before anything else; see 'Dictionaries'.
+  var dictionary = options.dictionary && dictionary_info(options.dictionary);
+  var strings    = session    ? session.strings :
+                   dictionary ? new Map(dictionary.strings) : new Map();
+  var ids        = session    ? session.ids : new Map();
+  var constants  = session    ? session.constants :
+                   dictionary ? dictionary.constants.slice() :
+                                fixed_constants();
+  var base       = constants.length;
+
+  // A session also remembers the slots and values that it sent for each
+  // object, and objects from earlier messages are updated rather than sent
+  // again; see 'Sessions'.
+  var fields  = session && session.fields;
+  var updates = new Map();
+
+  var graph = {};
+  var path  = [];
+
+  // Run a value through the replacer, if there is one. The replacer is called
+  // on the object that holds the value, just like JSON.stringify's replacer,
+  // and also gets the path of slots that led to the value.
+  var replace = function (holder, slot, value) {
+    return options.replacer ?
+      options.replacer.call(holder, slot, value, path.slice()) : value;
+  };
+
+  // Create a graph edge from an object. Both the slot and the value are
+  // visited, so either can be any serializable value. If 'implicit' is set,
+  // the slot is the next element of an array, so the edge uses the
+  // next_element slot instead.
+  //
+  // Objects that a session sent earlier get edges only for the slots that
+  // have changed since, but we still visit everything else that's an object
+  // to find out whether it has changed too. (diff() can stand one object in
+  // for another, so we compare what they stand for; see 'Diff and patch'.)
+  var edge = function (object, slot, value, implicit) {
+    var id     = visit(object);
+    var update = updates.get(object);
+
+    if (update) {
+      var key   = canonical(slot);
+      var moved = update.moved && update.moved.has(key);
+      update.current.set(key, value);
+      if (! moved && update.previous.has(key) &&
+          Object.is(update.previous.get(key), canonical(value))) {
+        touch(slot);
+        touch(value);
+        return object;
+      }
+
+      moved && emit(id, visit(slot), visit(deleted));
+      implicit = false;
+    } else if (fields)
+      fields.get(object).set(slot, value);
+
+    emit(id, visit(implicit ? void 0 : slot), visit(value));
+    return object;
+  };
+
+  var emit = function (id, slot_id, value_id) {
+    graph[id] || (graph[id] = []);
+    graph[id].push([slot_id, value_id]);
+  };
+
+  var canonical = function (x) {
+    return session && session.aliases && session.aliases.has(x) ?
+           session.aliases.get(x) : x;
+  };
+
+  var touch = function (x) {
+    x !== null && (typeof x === 'object' || typeof x === 'function') &&
+      visit(x);
+  };
+
+  // Create a graph link. For things of the form object.prop = value, 'prop'
+  // is linked to a string in the constant table rather than being encoded
+  // directly. This mitigates the impact of large property names. The value
+  // goes through the replacer first, and is dropped if the replacer omits it;
+  // the return value says whether it was linked.
+  var link = function (object, property, value, implicit) {
+    var slot = index_slot(property);
+
+    path.push(slot);
+    value = replace(object, slot, value);
+    value === omit || edge(object, slot, value, implicit);
+    path.pop();
+    return value !== omit;
+  };
+
+  // Visit each of the fields in an object-like thing. This is used for anything
+  // that is likely to have a box. The fields are sorted to guarantee stability;
+  // the same object should always be serialized the same way.
+  //
+  // Boxed strings have enumerable characters, which we skip; 'characters' is
+  // the number of them. If we're recording descriptors, properties that aren't
+  // plain are left for visit_descriptors().
+  var visit_fields = function (o, characters) {
+    var sorted_fields = [];
+    for (var k in o)
+      if (Object.hasOwnProperty.call(o, k) &&
+          ! (index_slot(k) < characters) &&
+          (! options.descriptors || is_plain_property(o, k)))
+        sorted_fields.push(k);
+
+    if (o instanceof Array)
+      return visit_elements(o, sorted_fields);
+
+    sorted_fields.sort();
+    for (var i = 0, l = sorted_fields.length, k; i < l; ++i)
+      link(o, k = sorted_fields[i], o[k]);
+
+    return o;
+  };
+
+  // Arrays link their elements in index order, so that runs of elements can
+  // use implicit slots. Other properties come afterwards, sorted as usual.
+  var visit_elements = function (o, fields) {
+    for (var indexes = [], names = [],
+             i = 0, l = fields.length; i < l; ++i)
+      if (/^(0|[1-9]\d*)$/.test(fields[i]) && +fields[i] < 4294967295)
+        indexes.push(+fields[i]);
+      else
+        names.push(fields[i]);
+
+    indexes.sort(function (a, b) {return a - b});
+    names.sort();
+
+    // An element that the replacer omits leaves a hole, so the element after
+    // it needs an explicit slot.
+    for (var next = 0,
+             i = 0, l = indexes.length; i < l; ++i)
+      if (link(o, indexes[i], o[indexes[i]], indexes[i] === next))
+        next = indexes[i] + 1;
+
+    for (var i = 0, l = names.length, k; i < l; ++i)
+      link(o, k = names[i], o[k]);
+
+    return o;
+  };
+
+  // Visit the properties that errors usually hide. Enumerable ones have been
+  // visited already, so we skip those; see 'Error encoding'. (So have all of
+  // the others, if we're recording descriptors.)
+  var visit_error_fields = function (o) {
+    var kind_name = error_constructors[error_kind(o)].prototype.name;
+
+    for (var i = 0, l = error_properties.length; i < l; ++i) {
+      var k          = error_properties[i];
+      var descriptor = Object.getOwnPropertyDescriptor(o, k);
+      if (descriptor ? ! descriptor.enumerable && ! options.descriptors
+                     : k === 'name' && o.name !== kind_name)
+        link(o, k, o[k]);
+    }
+
+    return o;
+  };
+
+  // Visit the properties that visit_fields() leaves out when we're recording
+  // descriptors: those that aren't plain, and those with symbol keys. Names are
+  // sorted as usual, and symbols come afterwards in the order they were added.
+  var visit_descriptors = function (o, boxed) {
+    var intrinsic = intrinsic_properties(o, boxed);
+    var names     = Object.getOwnPropertyNames(o);
+    var symbols   = Object.getOwnPropertySymbols(o);
+
+    for (var sorted_fields = [],
+             i = 0, l = names.length; i < l; ++i)
+      if (intrinsic.indexOf(names[i]) < 0 &&
+          ! (boxed === 2 && index_slot(names[i]) < o.length) &&
+          ! is_plain_property(o, names[i]))
+        sorted_fields.push(names[i]);
+
+    sorted_fields.sort();
+    sorted_fields = sorted_fields.concat(symbols);
+
+    for (var i = 0, l = sorted_fields.length; i < l; ++i)
+      visit_descriptor(o, sorted_fields[i]);
+
+    return o;
+  };
+
+  // Link a property along with its descriptor. Plain properties are linked
+  // directly, and anything else is linked to a Descriptor that holds the value
+  // or the accessors. Only values go through the replacer; accessors are part
+  // of the object's shape.
+  var visit_descriptor = function (o, k) {
+    var descriptor = Object.getOwnPropertyDescriptor(o, k);
+    var flags      = descriptor_flags(descriptor);
+    var slot       = index_slot(k);
+
+    if (flags === 7)
+      return link(o, k, descriptor.value);
+
+    path.push(slot);
+    var value = flags & 8 ? void 0 : replace(o, slot, descriptor.value);
+
+    if (value !== omit) {
+      var record = new Descriptor(flags);
+      edge(o, slot, record);
+
+      if (flags & 8) {
+        descriptor.get && edge(record, 'get', descriptor.get);
+        descriptor.set && edge(record, 'set', descriptor.set);
+      } else
+        edge(record, 'value', value);
+    }
+
+    path.pop();
+    return o;
+  };
+
+  // Maps and sets of registered classes have entries too, but not the ones
+  // that are going out as plain objects.
+  var has_entries = function (o) {
+    return (is_map(o) || is_set(o)) &&
+           (has_prototype(o, Map) || has_prototype(o, Set) ||
+            registered_name(o) !== void 0);
+  };
+
+  // Visit the entries of a map or set. These are emitted in iteration order
+  // rather than being sorted, since insertion order is observable. Map values
+  // and set elements go through the replacer; for set elements, the slot is
+  // the element itself.
+  var visit_entries = function (o) {
+    var entry = function (value, key) {
+      path.push(key);
+      value = replace(o, key, value);
+      value === omit || (is_map(o) ? edge(o, key, value) : edge(o, value, true));
+      path.pop();
+    };
+
+    o.forEach(entry);
+    return o;
+  };
+
+  // Takes an object, identifies it, and returns that identification. For
+  // objects, arrays, and functions, the property table is scanned and each
+  // property is visited by the mark() function below. This is done in such a
+  // way that circular references are recorded but don't cause infinite loops.
+  var visit = function (o) {
+    if (o === null)   return 2;
+    if (o === void 0) return 3;
+
+    if (typeof o === 'bigint')
+      return constants.push(bigint_encode(o)) - 1;
+
+    if (typeof o === 'boolean')
+      return +o;
+
+    if (typeof o === 'number')
+      if (o === 0 && 1 / o > 0)     return 8;
+      else if (is_safe_integer(o))  return constants.push(integer_encode(o)) - 1;
+      else if (isNaN(o))            return 4;
+      else if (! isFinite(o))       return 5 + +(o < 0);
+      else                          return constants.push(float_encode(o)) - 1;
+
+    if (typeof o === 'string')
+      if (o.length)
+        // Update the string table so that we reuse strings when possible.
+        return strings.get(o) ||
+               strings.set(o, constants.push(string_encode(o)) - 1).get(o);
+      else
+        return 7;       // Offset of the empty string
+
+    // Symbols are reused the same way; they can't be confused with strings.
+    if (typeof o === 'symbol')
+      return strings.get(o) ||
+             strings.set(o, constants.push(symbol_encode(o)) - 1).get(o);
+
+    return mark(o);
+  };
+
+  // Adds an object to the constant table and traverses its children.
+  var mark = function (o) {
+    // No need to revisit an object we've already seen, unless a session sent
+    // it in an earlier message; then we look for changes, once per message.
+    if (ids.has(o)) {
+      fields && ids.get(o) < base && ! updates.has(o) && update(o);
+      return ids.get(o);
+    }
+
+    // Create the constant table entry. This has to happen first because
+    // visiting an object's fields might re-enter this function and disrupt any
+    // space we might have allocated.
+    var use = function (encoder, argument) {
+      ids.set(o, constants.push(encoder(o, argument)) - 1);
+    };
+
+    // Use various encoders for the different kinds of objects. Arrays of
+    // numbers can be packed, unless the replacer needs to see their elements
+    // or some of them have descriptors that need recording.
+    var packed = has_prototype(o, Array) && ! options.replacer &&
+                 is_packable(o) && (! options.descriptors ||
+                                    plain_elements(o));
+    var boxed  = -1;
+
+    if (has_prototype(o, Object))          use(object_encode);
+    else if (packed)                       use(packed_encode);
+    else if (has_prototype(o, Array))      use(array_encode);
+    else if (has_prototype(o, Date))       use(date_encode);
+    else if (has_prototype(o, RegExp))     use(regexp_encode);
+    else if (has_prototype(o, Tagged))     use(tagged_encode);
+    else if (has_prototype(o, Descriptor)) use(descriptor_encode);
+    else if (has_prototype(o, Deletion))   use(deletion_encode);
+    else if (! Object.getPrototypeOf(o))   use(null_object_encode);
+
+    // Registered classes come before the other built-ins, which might be
+    // their base classes. (Plain maps, sets, and so on are checked by their
+    // prototypes, so a subclass that isn't registered gets the same error as
+    // any other class below.)
+    else if (registered_name(o))
+      use(instance_encode, registered_name(o));
+    else if (has_prototype(o, global_object.Map)) use(map_encode);
+    else if (has_prototype(o, global_object.Set)) use(set_encode);
+    else if (is_buffer(o))                        use(buffer_encode);
+
+    // Views refer to their buffer's constant table entry, so the buffer has to
+    // go in first. Visiting the buffer might have visited this view already,
+    // in which case we're done. The same goes for functions and their
+    // environments.
+    else if (view_kind(o) >= 0) {
+      var buffer_id = visit(o.buffer);
+      if (ids.has(o)) return ids.get(o);
+      use(view_encode, buffer_id);
+    }
+    else if (typeof o === 'function') {
+      var environment    = function_environment(o);
+      var environment_id = environment && visit(environment);
+      if (ids.has(o)) return ids.get(o);
+      use(function_encode, environment_id);
+    }
+
+    // Errors and boxed primitives of any class can be encoded as their built-in
+    // types. Anything else is an instance of a class that hasn't been
+    // registered, which we can't handle. (Unless we've been told to treat it as
+    // a plain object, in which case the prototype is lost.)
+    else if (is_error(o))
+      use(error_encode);
+    else if ((boxed = boxed_kind(o)) >= 0)
+      use(boxed_encode, visit(boxed_value(o)));
+    else if (options.unregistered === 'object')
+      use(object_encode);
+    else
+      throw new Error('cannot encode an instance of unregistered class ' +
+                      (Object.getPrototypeOf(o).constructor &&
+                       Object.getPrototypeOf(o).constructor.name ||
+                       '(anonymous)') +
+                      '; see rather_insane_serialization.register()');
+
+    // Sessions start keeping track of the object here. An array's length is
+    // part of its constant, but later messages might have to change it; the
+    // same goes for the elements of packed arrays.
+    if (fields) {
+      fields.set(o, new Map());
+      o instanceof Array && fields.get(o).set('length', o.length);
+      boxed >= 0 && session.boxed.set(o, boxed);
+
+      for (var i = 0, l = packed ? o.length : 0; i < l; ++i)
+        fields.get(o).set(i, o[i]);
+    }
+
+    traverse(o, packed, boxed);
+
+    // Arrays of registered classes don't have their length in their constant,
+    // and it can be more than their elements show.
+    o instanceof Array && registered_name(o) !== void 0 &&
+      link(o, 'length', o.length);
+    return ids.get(o);
+  };
+
+  // Visits an object's children, wherever they happen to be.
+  var traverse = function (o, packed, boxed) {
+    // Buffers, views, and packed arrays are completely described by their
+    // constants, and maps and sets use their edges for entries. Descriptors
+    // get their edges from visit_descriptor().
+    if (has_entries(o))
+      visit_entries(o);
+    else if (! is_buffer(o) && view_kind(o) < 0 && ! packed &&
+             ! has_prototype(o, Descriptor)) {
+      visit_fields(o, boxed === 2 ? o.length : 0);
+      options.descriptors && visit_descriptors(o, boxed);
+    }
+
+    if (is_error(o))
+      visit_error_fields(o);
+
+    // A regexp's lastIndex isn't enumerable, but it changes what the regexp
+    // matches next, so we link it like any other property. (If a session has
+    // sent a lastIndex, it has to send it again when it goes back to zero.)
+    if (has_prototype(o, RegExp) &&
+        (o.lastIndex !== 0 || updates.has(o) &&
+                              updates.get(o).previous.has('lastIndex')))
+      link(o, 'lastIndex', o.lastIndex);
+  };
+
+  // Looks for changes to an object that a session sent in an earlier message.
+  // Traversing it again emits edges for slots that are new or have new values
+  // (see edge() above), and any slot that's gone gets an edge to the deleted
+  // marker. Arrays also get a new length if theirs has changed.
+  var update = function (o) {
+    var id       = ids.get(o);
+    var previous = fields.get(o);
+    var current  = new Map();
+    updates.set(o, {previous: previous, current: current,
+                    moved:    has_entries(o) &&
+                              moved_entries(o, previous)});
+
+    var environment = typeof o === 'function' && function_environment(o);
+    environment && visit(environment);
+
+    traverse(o, false, session.boxed.has(o) ? session.boxed.get(o) : -1);
+    o instanceof Array && link(o, 'length', o.length);
+
+    previous.forEach(function (value, slot) {
+      current.has(slot) || emit(id, visit(slot), visit(deleted));
+    });
+
+    fields.set(o, current);
+  };
+
+  // New entries go at the end of a map or set, so the peer's entries stay in
+  // the order they were sent. If they aren't in that order any more, the
+  // entries from the first one that's out of place onwards have to be deleted
+  // and added again. (An entry that's new since the last message counts as
+  // out of place too, if any of the old ones come after it.)
+  var moved_entries = function (o, previous) {
+    var keys = [];
+    o.forEach(function (value, key) {keys.push(canonical(key))});
+
+    var present = new Set(keys);
+    var kept    = [];
+    previous.forEach(function (value, key) {
+      present.has(key) && kept.push(key);
+    });
+
+    for (var i = 0, l = kept.length; i < l && Object.is(kept[i], keys[i]); ++i);
+
+    for (var moved = new Set(); i < keys.length; ++i)
+      previous.has(keys[i]) && moved.add(keys[i]);
+    return moved;
+  };
+
+  // Arrays are packed only if all of their elements are plain, since packing
+  // doesn't record descriptors.
+  var plain_elements = function (o) {
+    for (var i = 0, l = o.length; i < l; ++i)
+      if (! is_plain_property(o, i)) return false;
+    return Object.getOwnPropertyNames(o).length === o.length + 1 &&
+           Object.getOwnPropertySymbols(o).length === 0;
+  };
+
+  // Visit the object that we want to serialize. This will side-effectfully
+  // populate the constant table and the reference graph. If the replacer omits
+  // the value itself, there's nothing left to encode but undefined.
+  var id = visit((x = replace({'': x}, '', x)) === omit ? void 0 : x);
+
+  // Serialize the reference graph. The first entry here is the length, which is
+  // incremented for every object we serialize. As per the spec, all integer
+  // serializations are adjusted to contain just enough entropy to encode any
+  // constant.
+  //
+  // Edge counts are the same width, so an object with more edges than that can
+  // count is split into several consecutive groups.
+  var constant_width  = radix_entropy(constants.length - 1);
+  var group_size      = Math.pow(94, constant_width) - 1;
+  var reference_graph = [0];
+  for (var k in graph)
+    if (Object.hasOwnProperty.call(graph, k))
+      for (var edges = graph[k],
+               start = 0; start < edges.length; start += group_size) {
+        var end = Math.min(edges.length, start + group_size);
+
+        ++reference_graph[0];
+        reference_graph.push(radix_encode(+k, constant_width));
+        reference_graph.push(radix_encode(end - start, constant_width));
+
+        for (var i = start; i < end; ++i) {
+          reference_graph.push(radix_encode(edges[i][0], constant_width));
+          reference_graph.push(radix_encode(edges[i][1], constant_width));
+        }
+      }
+
+  reference_graph[0] = radix_encode(reference_graph[0], 4);
+
+  // Record the integrity level of anything that isn't fully extensible. The
+  // ids map is in constant table order, so this is deterministic too. Sessions
+  // only need to mention the objects in this message whose levels have gone
+  // up since the last one.
+  var integrity = [];
+  options.integrity && ids.forEach(function (id, o) {
+    var level = integrity_level(o);
+    if (session && (id < base && ! updates.has(o) ||
+                    level === session.levels.get(o)))
+      return;
+
+    session && session.levels.set(o, level);
+    level && integrity.push(radix_encode(id, constant_width) +
+                            radix_encode(level, 1));
+  });
+
+  // And that's all! We now have the complete constant table and the complete
+  // reference graph, so we just serialize each one and put them back to back.
+  // Session messages begin with the number of constants that came before
+  // them; the session doesn't need its encoded constants after this. Before
+  // even that comes the dictionary's fingerprint, if there is one.
+  var result = (dictionary ? '~' + dictionary.fingerprint : '') +
+               (session ? radix_encode(base, 4) : '') +
+               radix_encode(constants.length - base, 4) +
+               radix_encode(id, 4) +
+               constants.slice(base).join('') +
+               reference_graph.join('') +
+               (integrity.length ? 'i' + radix_encode(integrity.length, 4) +
+                                         integrity.join('')
+                                 : '');
+
+  for (var i = base; session && i < constants.length; ++i)
+    constants[i] = null;
+
+  return result;
+};
+
+var encode = function (x, options) {
+  return encoder(x, options);
+};
+
+
+// Decoding errors.
+// Anything wrong with the input causes decode() to throw a DecodeError (or a
+// PolicyError, which is a kind of DecodeError). Each one has these properties:
+
+// | offset:    where the problem is, counting from the start of the original input
+//   section:   'header', 'constant table', 'reference graph', 'integrity section',
+//              or 'trailer'
+//   constant:  the index of the constant or object being decoded, if any
+//   truncated: true if the input ended before the encoding did
+//   cause:     the underlying exception, if some other error was converted
+
+// The decoder works on a copy of the input with whitespace removed, so offsets
+// have to be mapped back onto the original. This is slow, but it only happens
+// once something has already gone wrong.
+
+var original_offset = function (original, position) {
+  for (var n = 0,
+           i = 0, l = original.length; i < l; ++i)
+    if (original.charCodeAt(i) >= 33 && original.charCodeAt(i) <= 126 &&
+        n++ === position)
+      return i;
+
+  return original.length;
+};
+
+
+// Safe decoding.
+// By default decode() trusts its input: functions are compiled with the Function
+// constructor, properties are assigned verbatim, and there's no limit to how big
+// anything can get. This is fine for data you wrote yourself, but not for data that
+// came from someone else. Passing {safe: true} turns on a policy that rejects
+// functions and dangerous property names, and that caps the number of constants,
+// the length of strings (and buffers), the number of edges, and the number of
+// elements in packed arrays. Violating any of these causes a PolicyError.
+
+// The last of these is a total for the whole encoding rather than a limit on each
+// array. Packed arrays of small integers can take no digits at all per element,
+// so a few bytes of input can claim millions of elements; a limit on each array
+// would still let a payload repeat that for every constant it's allowed.
+
+// Each part of the policy can also be set individually, whether or not 'safe' is
+// on:
+
+// | functions:           'allow', 'reject', or 'stub' (stubs throw when called)
+//   dangerous_keys:      'allow' or 'reject' (__proto__, constructor, prototype)
+//   max_constants:       the maximum number of constants in the constant table
+//   max_string_length:   the maximum length of any string or buffer
+//   max_edges:           the maximum number of edges in the reference graph
+//   max_packed_elements: the maximum number of elements in all packed arrays
+
+var decode_policy = function (options) {
+  var safe   = !! options.safe;
+  var policy = {functions:           safe ? 'reject' : 'allow',
+                dangerous_keys:      safe ? 'reject' : 'allow',
+                max_constants:       safe ? 1048576  : Infinity,
+                max_string_length:   safe ? 16777216 : Infinity,
+                max_edges:           safe ? 16777216 : Infinity,
+                max_packed_elements: safe ? 4194304  : Infinity};
+
+  for (var k in policy)
+    if (Object.prototype.hasOwnProperty.call(policy, k) &&
+        options[k] !== void 0)
+      policy[k] = options[k];
+
+  return policy;
+};
+
+var is_dangerous_key = function (k) {
+  return k === '__proto__' || k === 'constructor' || k === 'prototype';
+};
+
+// Anything else that's used as a property name gets converted to one first,
+// which would get around the check above.
+var is_property_key = function (k) {
+  return typeof k === 'string' || typeof k === 'number' ||
+         typeof k === 'symbol';
+};
+
+
+// Constants and edges.
+// The decoder and open() (see 'Lazy decoding') decode constants and connect edges
+// the same way, so that open() gets the same policy checks. Both take the policy,
+// the constant table, and a fail() function that says where things went wrong;
+// decoding a constant that refers to another one expects that one to be in the
+// table already.
+
+var constant_decoder = function (options, policy, constants, fail) {
+  var packed_elements = 0;
+
+  // Throws if a length exceeds the policy's limit. Most lengths are checked
+  // after the fact, but buffers are checked before we allocate them.
+  var check_length = function (n) {
+    if (n > policy.max_string_length)
+      fail(PolicyError, 'constant is ' + n + ' long, which exceeds ' +
+                        'max_string_length',
+           {policy: 'max_string_length', limit: policy.max_string_length});
+  };
+
+  // Functions are compiled, stubbed out, or rejected depending on the policy.
+  var decode_function = function (s, i) {
+    if (policy.functions === 'allow') return s.charAt(i) === '#' ?
+                                             legacy_function_decode(s, i) :
+                                             function_decode(s, i, constants);
+    if (policy.functions === 'stub')  return function_stub_decode(s, i);
+
+    fail(PolicyError, 'function constants are not allowed',
+         {policy: 'functions'});
+  };
+
+  // Decodes something based on the prefix and returns it, along with the number
+  // of characters that should be skipped.
+  var decode_one = function (s, i) {
+    var prefix      = s.charAt(i);
+    var prefix_code = prefix.charCodeAt(0);
+
+    if (prefix === '!' ||
+        prefix === 'p')               return array_decode(s, i);
+    else if (prefix === '"')          return object_decode(s, i);
+    else if (prefix === '+' ||
+             prefix === 'j' ||
+             prefix === 'q')          return float_decode(s, i);
+    else if (prefix === 'J' ||
+             prefix === 'm' ||
+             prefix === 'n')          return date_decode(s, i);
+    else if (/[r-z]/.test(prefix))    return regexp_decode(s, i);
+    else if (/[a-iA-I]/.test(prefix)) return integer_decode(s, i);
+    else if (prefix === 'k' ||
+             prefix === 'l')          return bigint_decode(s, i);
+
+    else if (prefix === '$' ||
+             prefix_code >= 74 &&
+             prefix_code <= 96)       return string_decode(s, i);
+
+    else if (prefix === '#' ||
+             prefix === '@')          return decode_function(s, i);
+    else if (prefix === '%')          return instance_decode(s, i, options);
+    else if (prefix === '*')          return tagged_decode(s, i);
+    else if (prefix === 'o')          return error_decode(s, i);
+    else if (prefix === '.')          return null_object_decode(s, i);
+    else if (prefix === '-')          return deletion_decode(s, i);
+    else if (prefix === '<')          return symbol_decode(s, i);
+    else if (prefix === '>')          return descriptor_decode(s, i);
+    else if (prefix === ':')          return boxed_decode(s, i, constants);
+    else if (prefix === '&')          return map_decode(s, i);
+    else if (prefix === "'")          return set_decode(s, i);
+    else if (prefix === '(') {
+      check_length(radix_decode(s.substr(i + 1, 5)));
+      return buffer_decode(s, i);
+    }
+    else if (prefix === ')')          return view_decode(s, i, constants);
+    else if (prefix === '{') {
+      var length = radix_decode(s.substr(i + 2, 5));
+      check_length(length);
+      if ((packed_elements += length) > policy.max_packed_elements)
+        fail(PolicyError, 'packed arrays exceed max_packed_elements',
+             {policy: 'max_packed_elements',
+              limit:  policy.max_packed_elements});
+      return packed_decode(s, i);
+    }
+
+    else fail(DecodeError, 'invalid prefix ' + prefix);
+  };
+
+  return {decode: decode_one, check_length: check_length};
+};
+
+// Connects a single edge to an object, whose constant index is 'id'. Edges from
+// maps and sets describe their entries rather than their properties. Properties
+// with descriptors are defined later, since their descriptors might not be
+// connected yet, so they go on the 'descriptors' list, and edges to the deleted
+// marker take things away.
+
+// Anything else that goes wrong is the input's fault too: an array length that
+// isn't valid, say, or a slot that can't be a property name. So it becomes a
+// DecodeError that says where it happened. Slots that aren't strings, numbers, or
+// symbols are refused outright, except in maps and sets: a boxed string or an
+// array would be converted to a property name when it's assigned, and the
+// dangerous_keys policy would never see that name.
+
+var edge_connector = function (policy, descriptors, fail) {
+  var connect = function (base, id, property, value) {
+    if (! is_map(base) && ! is_set(base) && ! is_property_key(property))
+      fail(DecodeError, 'an object\'s slots must be strings, numbers, or ' +
+                        'symbols');
+
+    if (value === deleted)
+      is_map(base) || is_set(base) ? base['delete'](property)
+                                   : delete base[property];
+    else if (is_map(base)) base.set(property, value);
+    else if (is_set(base)) base.add(property);
+    else if (policy.dangerous_keys !== 'allow' && is_dangerous_key(property))
+      fail(PolicyError, 'refusing to assign property ' + property,
+           {policy: 'dangerous_keys'});
+    else if (value instanceof Descriptor)
+      descriptors.push(id, property, value);
+    else if (is_error(base) && is_error_property(property))
+      Object.defineProperty(base, property, {value: value, writable: true,
+                                             enumerable: false,
+                                             configurable: true});
+    else                   base[property] = value;
+  };
+
+  return function (base, id, property, value) {
+    try {
+      connect(base, id, property, value);
+    } catch (e) {
+      if (e instanceof DecodeError) throw e;
+      fail(DecodeError, e.message, {cause: e});
+    }
+  };
+};
+
+
+// Reading encodings.
+// The decoder and open() (see 'Lazy decoding') read the layout of an encoding the
+// same way: the header, where each constant begins and ends, the object groups of
+// the reference graph, and the integrity section. The reader does that part, and
+// leaves the rest to handlers. The decoder's handlers decode each constant and
+// connect each edge as the reader comes to them; open()'s just note where things
+// are. They're called with these arguments:
+
+// | header(dictionary)                  -> the number of constants before the
+//                                            encoding's own
+//   constant(index, s, position, length)
+//   group(index, edges, position, raw)
+//   edge(slot, value, raw)
+//   group_end()
+//   integrity(index, level)
+
+// Without an edge() handler, the reader skips over each group's edges. Positions
+// are in the input with whitespace removed. Unless the reader is told to keep its
+// input, as it is when it's making a listing, it drops the input it has used up,
+// so positions only make sense until the next chunk arrives.
+
+// The reader also keeps track of where it is, so that its fail() can say where
+// things went wrong; handlers that read the input again later can move it with
+// locate().
+
+var encoding_reader = function (options, policy, session, keep, handlers) {
+  var section  = 'header';
+  var current  = void 0;        // Index of the constant or object being read
+
+  // The input that hasn't been used up yet, with whitespace removed, and the
+  // same input as it was written. 'consumed' and 'raw_consumed' count the
+  // characters that came before them, and 'position' is where we are in 's'.
+  var s            = '';
+  var raw          = '';
+  var consumed     = 0;
+  var raw_consumed = 0;
+  var position     = 0;
+  var received     = 0;
+  var ended        = false;
+
+  // Throws an error of the given type that says where things went wrong. The
+  // offset refers to the original input, whitespace and all.
+  var fail = function (type, message, details) {
+    details || (details = {});
+    details.offset   = raw_consumed + original_offset(raw, position);
+    details.section  = section;
+    details.constant = current;
+
+    throw new type(message + ' (' + section +
+                   (current === void 0 ? '' : ', constant ' + current) +
+                   ', offset ' + details.offset + ')', details);
+  };
+
+  var locate = function (new_section, new_current, new_position) {
+    section = new_section;
+    current = new_current;
+    new_position === void 0 || (position = new_position);
+  };
+
+  // Thrown when the input stops short of the next complete piece of the
+  // encoding; see 'Streaming' below.
+  var incomplete = {};
+
+  // Makes sure that the next n characters are there. If they haven't arrived
+  // yet, we wait for more input, unless there won't be any.
+  var need = function (n, message) {
+    if (position + n <= s.length) return;
+    if (! ended) throw incomplete;
+    fail(DecodeError, message, {truncated: true});
+  };
+
+  // Reads a fixed-width number.
+  var read = function (width) {
+    need(width, 'input ends in the middle of a number');
+    return radix_decode(s.substring(position, position += width));
+  };
+
+  // Reads a reference to a constant, which must be in the table.
+  var read_index = function () {
+    var index = read(layout.width);
+    if (index >= layout.total)
+      fail(DecodeError, 'constant index ' + index + ' is out of range');
+    return index;
+  };
+
+  // What the reader has found out about the encoding: the number of constants
+  // before its own, the size of the whole table, the index of the result, and
+  // the width of constant indexes in the reference graph.
+  var layout = {first: 0, total: 0, result: void 0, width: 0};
+
+  // The reader's state between steps.
+  var state            = 'header';
+  var constant_count   = 0;
+  var constants_left   = 0;
+  var group_count      = 0;
+  var groups_left      = 0;
+  var edges_left       = 0;
+  var edge_count       = 0;
+  var edges_read       = 0;
+  var integrity_left   = 0;
+  var header_length    = 0;
+  var references_start = 0;
+  var integrity_start  = 0;
+
+  // Each step reads one piece of the encoding: the header, a constant, the
+  // start of an object's group, an edge, and so on. A step either finishes or
+  // runs out of input before it changes anything (handlers included), so that
+  // it can start over once more input arrives. It returns false when there's
+  // nothing more to do.
+  var step = function () {
+    var start = position;
+
+    if (state === 'header') {
+      // Encodings made with a dictionary start with its fingerprint. We make
+      // sure that the whole header is there first, so that the header handler
+      // is only called once.
+      need(1, 'input ends in the middle of a number');
+      var fingerprint = s.charAt(position) === '~' ? s.substr(position + 1, 4)
+                                                   : void 0;
+      header_length   = (fingerprint ? 5 : 0) + (session ? 12 : 8);
+      need(header_length, 'input ends in the middle of a number');
+
+      var dictionary = fingerprint &&
+                       dictionary_for(options, fingerprint, fail);
+      position += fingerprint ? 5 : 0;
+      layout.first = handlers.header(dictionary);
+
+      // Session messages say how many constants came before them, which had
+      // better be how many we have.
+      var constant_base = session ? read(4) : layout.first;
+      constant_count    = read(4);
+      layout.result     = read(4);
+      layout.total      = layout.first + constant_count;
+
+      if (constant_base !== layout.first)
+        fail(DecodeError, 'message follows constant ' + constant_base +
+                          ', but the session has ' + layout.first +
+                          ' constants');
+
+      if (constant_count > policy.max_constants)
+        fail(PolicyError, constant_count + ' constants exceeds max_constants',
+             {policy: 'max_constants', limit: policy.max_constants});
+
+      if (layout.result >= layout.total)
+        fail(DecodeError, 'result ' + layout.result +
+                          ' is not in the constant table');
+
+      constants_left = constant_count;
+      section        = 'constant table';
+      state          = 'constants';
+    }
+
+    // Make sure the whole constant is there before handing it over, so that
+    // the decoders never see partial input.
+    else if (state === 'constants' && constants_left) {
+      current = layout.total - constants_left;
+
+      need(1, 'input ends in the middle of a constant');
+      var length = constant_length(s, position);
+      if (length < 0)
+        fail(DecodeError, 'invalid prefix ' + s.charAt(position));
+      need(length, 'input ends in the middle of a constant');
+
+      try {
+        handlers.constant(current, s, position, length);
+      } catch (e) {
+        if (e instanceof DecodeError) throw e;
+        fail(DecodeError, e.message, {cause: e});
+      }
+
+      position += length;
+      --constants_left;
+    }
+
+    // Every entry in the reference graph is a constant index of the same
+    // width, which depends on the size of the table.
+    else if (state === 'constants') {
+      section          = 'reference graph';
+      current          = void 0;
+      layout.width     = radix_entropy(layout.total - 1);
+      references_start = consumed + position;
+      groups_left      = group_count = read(4);
+      state            = 'groups';
+    }
+
+    else if (state === 'groups' && groups_left) {
+      current   = read_index();
+      var edges = read(layout.width);
+      var skip  = handlers.edge ? 0 : 2 * edges * layout.width;
+
+      if ((edge_count += edges) > policy.max_edges)
+        fail(PolicyError, 'reference graph exceeds max_edges',
+             {policy: 'max_edges', limit: policy.max_edges});
+
+      need(skip, 'input ends in the middle of an object\'s edges');
+      handlers.group(current, edges, position, s.substring(start, position));
+
+      position   += skip;
+      edges_left  = skip ? 0 : edges;
+      state       = 'edges';
+    }
+
+    else if (state === 'edges' && edges_left) {
+      var slot  = read_index();
+      var value = read_index();
+
+      handlers.edge(slot, value, s.substring(start, position));
+      --edges_left;
+      ++edges_read;
+    }
+
+    else if (state === 'edges') {
+      handlers.group_end && handlers.group_end();
+      --groups_left;
+      state = 'groups';
+    }
+
+    // Whether there are any integrity levels depends on what comes next, so
+    // we have to wait for it.
+    else if (state === 'groups') {
+      section         = 'integrity section';
+      current         = void 0;
+      integrity_start = consumed + position;
+
+      if (position === s.length && ! ended) throw incomplete;
+      if (s.charAt(position) === 'i') {
+        ++position;
+        integrity_left = read(4);
+        state          = 'integrity';
+      } else
+        state = 'trailer';
+    }
+
+    else if (state === 'integrity' && integrity_left) {
+      current   = read_index();
+      var level = read(1);
+
+      if (level < 1 || level > 3)
+        fail(DecodeError, 'invalid integrity level ' + level);
+
+      handlers.integrity(current, level);
+      --integrity_left;
+    }
+
+    // Anything left over means that the input wasn't what we thought it was.
+    else {
+      section = 'trailer';
+      current = void 0;
+      state   = 'trailer';
+
+      if (position < s.length)
+        fail(DecodeError, 'unexpected input after the end of the encoding');
+      return false;
+    }
+
+    return true;
+  };
+
+  // Runs as many steps as the input allows, and then drops the input that
+  // they've used up (unless there won't be any more).
+  var run = function () {
+    for (var start = position;; start = position)
+      try {
+        if (! step()) break;
+      } catch (e) {
+        if (e !== incomplete) throw e;
+        position = start;
+        break;
+      }
+
+    if (! keep && ! ended && position) {
+      var raw_position = original_offset(raw, position);
+      s             = s.substring(position);
+      raw           = raw.substring(raw_position);
+      consumed     += position;
+      raw_consumed += raw_position;
+      position      = 0;
+    }
+  };
+
+  // Adds a chunk of input, removing all invalid characters from it.
+  var append = function (chunk) {
+    if (ended) throw new Error('cannot write after end()');
+
+    // Valid characters come in long runs, so copy each run with one slice.
+    for (var valid = [], start = 0,
+             i = 0, l = chunk.length; i <= l; ++i)
+      if (i === l || chunk.charCodeAt(i) < 33 || chunk.charCodeAt(i) > 126) {
+        i > start && valid.push(chunk.substring(start, i));
+        start = i + 1;
+      }
+
+    s        += valid.join('');
+    raw      += chunk;
+    received += chunk.length;
+  };
+
+  return {
+    write: function (chunk) {
+      append(chunk);
+      run();
+    },
+
+    end: function (chunk) {
+      chunk === void 0 || append(chunk);
+      ended = true;
+      run();
+    },
+
+    fail:       fail,
+    locate:     locate,
+    read_index: read_index,
+    layout:     layout,
+
+    input: function () {return s},
+
+    sections: function () {
+      return {'header':            [0, header_length],
+              'constant table':    [header_length, references_start],
+              'reference graph':   [references_start, integrity_start],
+              'integrity section': [integrity_start, consumed + position]};
+    },
+
+    progress: function () {
+      return {section:         section,
+              received:        received,
+              constants:       constant_count - constants_left,
+              total_constants: constant_count,
+              groups:          group_count - groups_left,
+              total_groups:    group_count,
+              edges:           edges_read};
+    }
+  };
+};
+
+
+// Decoding.
+// The decoder does its work in one pass: it decodes each constant and connects
+// each edge as the reader comes to them. It takes its input in chunks (see
+// 'Streaming'), though decode() passes it all at once. If it's given a listing,
+// it also records where each constant and object group came from and which edges
+// it connected; this is what inspect() is built on. (See 'Inspection'.) If it's
+// given a session, it adds to the session's constant table instead of starting a
+// new one; see 'Sessions'.
+
+var decoder = function (options, listing, session) {
+  options || (options = {});
+
+  var policy = decode_policy(options);
+  var error  = void 0;
+
+  // The constant table gets filled in as we go; a session's table carries over
+  // from earlier messages. Arrays keep track of where their next element goes,
+  // which carries over if one array's edges span several groups.
+  var constants     = session ? session.constants : fixed_constants();
+  var base          = void 0;
+  var base_id       = void 0;
+  var group         = void 0;
+  var next          = 0;
+  var previous_base = void 0;
+  var integrity     = [];
+  var descriptors   = [];
+
+  // A listing refers to positions in the input, so the reader has to keep all
+  // of it.
+  var reader = encoding_reader(options, policy, !! session, !! listing, {
+    // The dictionary's strings go in ahead of the constants, unless a session
+    // has them already.
+    header: function (dictionary) {
+      dictionary && ! session &&
+        constants.push.apply(constants, dictionary.constants.slice(9));
+      return constants.length;
+    },
+
+    constant: function (index, s, position, length) {
+      var parsed = decode_one(s, position);
+      typeof parsed[0] === 'string' && check_length(parsed[0].length);
+      constants.push(parsed[0]);
+
+      listing && listing.constants.push({index:    index,
+                                         position: position,
+                                         raw:      s.substr(position, length)});
+    },
+
+    group: function (index, edges, position, raw) {
+      var object = constants[index];
+      if (object === null ||
+          typeof object !== 'object' && typeof object !== 'function')
+        reader.fail(DecodeError, 'edges can only be attached to objects');
+
+      base    = object;
+      base_id = index;
+      group   = listing && {index:    index,
+                            position: position - raw.length,
+                            raw:      raw,
+                            edges:    []};
+
+      base === previous_base || (next = 0);
+      previous_base = base;
+    },
+
+    edge: function (slot, value, raw) {
+      var property = constants[slot];
+
+      if (group) {
+        group.edges.push([slot, value]);
+        group.raw += raw;
+      }
+
+      if (base instanceof Array) {
+        if (slot === next_element)        property = next;
+        if (typeof property === 'number') next     = property + 1;
+      }
+
+      connect(base, base_id, property, constants[value]);
+    },
+
+    group_end: function () {
+      group && listing.objects.push(group);
+    },
+
+    // We don't apply integrity levels until the very end, since freezing
+    // anything earlier would get in the way of reviving.
+    integrity: function (index, level) {
+      integrity.push(constants[index], level);
+      listing && listing.integrity.push([index, level]);
+    }
+  });
+
+  var constant_decoding = constant_decoder(options, policy, constants,
+                                           reader.fail);
+  var decode_one        = constant_decoding.decode;
+  var check_length      = constant_decoding.check_length;
+  var connect           = edge_connector(policy, descriptors, reader.fail);
+
+  // Once the input is over, we define the properties that have descriptors
+  // (every descriptor has its value or accessors by now), revive the result,
+  // and restore integrity levels.
+  var finish = function () {
+    for (var i = 0, l = descriptors.length; i < l; i += 3)
+      try {
+        reader.locate('reference graph', descriptors[i]);
+        Object.defineProperty(constants[descriptors[i]],
+                              descriptors[i + 1],
+                              descriptor_properties(descriptors[i + 2]));
+      } catch (e) {
+        reader.fail(DecodeError, e.message, {cause: e});
+      }
+
+    var result_id = reader.layout.result;
+
+    if (listing) {
+      listing.input    = reader.input();
+      listing.values   = constants;
+      listing.result   = result_id;
+      listing.width    = reader.layout.width;
+      listing.sections = reader.sections();
+    }
+
+    var result = options.reviver ? revive(constants[result_id],
+                                          options.reviver)
+                                 : constants[result_id];
+
+    for (var i = 0, l = integrity.length; i < l; i += 2)
+      restore_integrity(integrity[i], integrity[i + 1]);
+
+    return result;
+  };
+
+  // Errors are final: once the input has gone wrong, every later call fails
+  // the same way.
+  var guarded = function (f) {
+    return function (x) {
+      if (error) throw error;
+      try {
+        return f(x);
+      } catch (e) {
+        throw error = e;
+      }
+    };
+  };
+
+  return {
+    write: guarded(function (chunk) {
+      reader.write(chunk);
+      options.progress && options.progress(reader.progress());
+    }),
+
+    end: guarded(function (chunk) {
+      reader.end(chunk);
+      options.progress && options.progress(reader.progress());
+      return finish();
+    }),
+
+    progress: reader.progress
+  };
+};
+
+var decode = function (s, options) {
+  return decoder(options).end(s);
+};
+
+
+// Streaming.
+// decode() takes the whole encoding at once, but the decoder underneath works a
+// piece at a time: it decodes each constant as soon as all of its characters have
+// arrived, and connects each edge as soon as it has both indexes. So you can feed
+// it input as it comes in, in chunks of any size; a chunk can end anywhere, even
+// in the middle of a number or an escape.
+
+// | var d = rather_insane_serialization.create_decoder(options);
+//   stream.on('data', function (chunk) {d.write(chunk)});
+//   stream.on('end',  function ()      {done(d.end())});
+
+// The decoder only holds on to the input that it hasn't used yet. end() returns
+// the decoded value, which isn't revived, and doesn't have its descriptors or
+// integrity levels, until then. It takes the same options as decode(), and also a
+// 'progress' function that's called with d.progress() after each chunk:
+
+// | {section:         the section being decoded (see 'Decoding errors'),
+//    received:        the number of characters written so far,
+//    constants:       the number of constants decoded so far,
+//    total_constants: the number of constants in the constant table,
+//    groups:          the number of object groups connected so far,
+//    total_groups:    the number of groups in the reference graph,
+//    edges:           the number of edges connected so far}
+
+// Errors are reported as soon as the input goes wrong, with the same offsets that
+// decode() would give, and after one every call fails with it.
+
+var create_decoder = function (options) {
+  return decoder(options);
+};
+
+
+// Reviving.
+// Once decode() has connected the whole graph, it can optionally pass every value
+// through a reviver, which is just like the one that JSON.parse() takes: it's
+// called on the object that holds the value, with the slot, the value, and the
+// path of slots from the root. Children are revived before their parents, and
+// whatever the reviver returns replaces the value (or deletes it, if the reviver
+// returns rather_insane_serialization.omit).
+
+// Each object's children are revived only once, even if the object is referenced
+// from several places; its path is the first one that reached it. The contents of
+// buffers and views aren't revived, and neither are map keys or properties with
+// getters and setters (reading them would call the getter).
+
+var revive = function (root, reviver) {
+  var seen = new Set();
+  var path = [];
+
+  var field = function (value, k) {
+    var descriptor = Object.getOwnPropertyDescriptor(value, k);
+    if (! ('value' in descriptor)) return;
+
+    var revived = walk(value, index_slot(k), value[k]);
+    if (revived === omit)         delete value[k];
+    else if (revived !== value[k]) value[k] = revived;
+  };
+
+  var walk = function (holder, slot, value) {
+    path.push(slot);
+
+    if (value !== null && (typeof value === 'object' ||
+                           typeof value === 'function') && ! seen.has(value)) {
+      seen.add(value);
+
+      if (is_map(value))
+        value.forEach(function (v, k) {
+          var revived = walk(value, k, v);
+          if (revived === omit)  value['delete'](k);
+          else if (revived !== v) value.set(k, revived);
+        });
+
+      else if (is_set(value)) {
+        var elements = [];
+        value.forEach(function (v) {elements.push(v)});
+        value.clear();
+
+        for (var i = 0, l = elements.length; i < l; ++i) {
+          var revived = walk(value, elements[i], elements[i]);
+          revived === omit || value.add(revived);
+        }
+      }
+
+      else if (! is_buffer(value) && view_kind(value) < 0) {
+        for (var k in value)
+          if (Object.prototype.hasOwnProperty.call(value, k))
+            field(value, k);
+
+        // Errors' hidden properties were encoded, so they get revived too.
+        if (is_error(value))
+          for (var i = 0, l = error_properties.length; i < l; ++i) {
+            var descriptor = Object.getOwnPropertyDescriptor(
+                               value, error_properties[i]);
+            descriptor && ! descriptor.enumerable &&
+              field(value, error_properties[i]);
+          }
+      }
+    }
+
+    var result = reviver.call(holder, slot, value, path.slice(1));
+    path.pop();
+    return result;
+  };
+
+  var result = walk({'': root}, '', root);
+  return result === omit ? void 0 : result;
+};
+
+
+
+
+
+// Dictionaries.
+// Messages that share a schema send the same property names and common strings
+// in every constant table. A dictionary is a list of strings that both ends agree
+// on ahead of time; it's built from sample values, and then passed to encode()
+// and decode() as the 'dictionary' option:
+
+// | var dictionary = rather_insane_serialization.build_dictionary(samples);
+//   var s = rather_insane_serialization.encode(value, {dictionary: dictionary});
+//   rather_insane_serialization.decode(s, {dictionary: dictionary});
+
+// The dictionary's strings take the constant indexes after the fixed ones, from 9
+// on, and are referred to like any other constant without ever being written out.
+// The dictionary itself is a frozen object with the strings and a fingerprint,
+// so it can be encoded and sent (or saved) like any other value. Sessions, diff(),
+// patch(), and open() all take it too.
+
+// An encoding made with a dictionary begins with the character '~' and the
+// dictionary's four-digit fingerprint, ahead of the usual header. decode() fails
+// with a DecodeError if it isn't given a dictionary with that fingerprint; the
+// fingerprint is the same Adler-32 checksum that frames use (see 'Framing'),
+// taken over the strings in their encoded form. (Without a dictionary, a header
+// can only start with '~' if it has more than 77 million constants, which no
+// encoding can reasonably have.)
+
+// The build_dictionary() function counts how many of the samples each string
+// appears in, and keeps those that appear in at least 'min_count' of them (two by
+// default), most common first, up to 'max_size' strings (1024 by default). It
+// takes the same options as encode() as well, since those decide which strings an
+// encoding needs. The more strings a dictionary has, the wider the constant
+// indexes in every message get, so it's worth keeping it to the strings that
+// really are common.
+
+var build_dictionary = function (samples, options) {
+  options || (options = {});
+
+  var min_count = options.min_count !== void 0 ? options.min_count : 2;
+  var max_size  = options.max_size  !== void 0 ? options.max_size  : 1024;
+  var counts    = new Map();
+
+  for (var i = 0, l = samples.length; i < l; ++i) {
+    var state = encoder_state();
+    encoder(samples[i], options, state);
+    state.strings.forEach(function (id, x) {
+      typeof x === 'string' && counts.set(x, (counts.get(x) || 0) + 1);
+    });
+  }
+
+  // Map iteration follows insertion order, so ties go to the string that was
+  // seen first.
+  var order   = 0;
+  var entries = [];
+  counts.forEach(function (count, x) {
+    count >= min_count && entries.push({string: x, count: count,
+                                        order: order++});
+  });
+  entries.sort(function (a, b) {return b.count - a.count || a.order - b.order});
+
+  for (var strings = [],
+           i = 0, l = Math.min(entries.length, max_size); i < l; ++i)
+    strings.push(entries[i].string);
+
+  return Object.freeze({strings:     Object.freeze(strings),
+                        fingerprint: dictionary_fingerprint(strings)});
+};
+
+var dictionary_fingerprint = function (strings) {
+  for (var encoded = [radix_encode(strings.length, 4)],
+           i = 0, l = strings.length; i < l; ++i)
+    encoded.push(string_encode(strings[i]));
+  return radix_encode(frame_checksum(encoded.join('')), 4);
+};
+
+// Dictionaries are checked against their fingerprints the first time they're
+// used, which also catches a dictionary that has been edited since it was built.
+// After that, the encoder and decoder use the constant table and string ids that
+// we work out here; both are copied before anything is added to them.
+
+var dictionaries = new WeakMap();
+
+var dictionary_info = function (dictionary) {
+  if (dictionaries.has(dictionary)) return dictionaries.get(dictionary);
+
+  var strings = dictionary.strings;
+  for (var i = 0, l = strings.length; i < l; ++i)
+    if (typeof strings[i] !== 'string' || ! strings[i].length)
+      throw new Error('dictionary entries must be non-empty strings');
+
+  if (dictionary_fingerprint(strings) !== dictionary.fingerprint)
+    throw new Error('dictionary does not match its fingerprint ' +
+                    dictionary.fingerprint);
+
+  var info = {fingerprint: dictionary.fingerprint,
+              constants:   fixed_constants().concat(strings),
+              strings:     new Map()};
+  for (var i = 0, l = strings.length; i < l; ++i)
+    info.strings.has(strings[i]) || info.strings.set(strings[i], 9 + i);
+
+  dictionaries.set(dictionary, info);
+  return info;
+};
+
+// Decoding checks the fingerprint in the encoding's header against the
+// dictionary it was given.
+
+var dictionary_for = function (options, fingerprint, fail) {
+  if (! options.dictionary)
+    fail(DecodeError, 'the encoding needs a dictionary with fingerprint ' +
+                      fingerprint, {fingerprint: fingerprint});
+
+  var info = dictionary_info(options.dictionary);
+  if (info.fingerprint !== fingerprint)
+    fail(DecodeError, 'the encoding needs a dictionary with fingerprint ' +
+                      fingerprint + ', but this one has ' + info.fingerprint,
+         {fingerprint: fingerprint});
+  return info;
+};
+
+
+
+
+
+// Sessions.
+// Every call to encode() starts from scratch, so a stream of messages that share
+// strings and objects sends them over and over, and the objects that come out the
+// other end are new every time. A session remembers what it has already sent and
+// received instead:
+
+// | var session = rather_insane_serialization.create_session(options);
+//   socket.send(session.encode(value));
+//   socket.on('message', function (m) {handle(session.decode(m))});
+
+// A session keeps one constant table for the messages it encodes and another for
+// the messages it decodes, and each message can refer to any constant from the
+// earlier messages in its direction. So strings are sent only once, and objects
+// keep their identity: decoding an object that was sent before gives back the
+// object that was decoded the first time. If that object has changed since, the
+// message carries new edges for the slots that have changed, and edges to the
+// deleted marker for the ones that have gone away (see 'Deletions'), so both ends
+// stay in sync.
+
+// Session messages begin with the number of constants that came before them,
+// which lets decode() notice a message that's missing or out of order. (Apart
+// from that, they're laid out just like other encodings.) After an error, a
+// session's tables no longer match its peer's, so it refuses to encode or decode
+// anything else in that direction.
+
+// The options apply to every message. Some changes can't be expressed as edges at
+// all: the contents of dates, buffers, and views; a function's code; and which
+// object is a function's environment (its properties are fine). Descriptors (see
+// 'Property descriptors') are sent again with every message. A session also holds
+// on to everything it has sent or received, so it's worth starting a new one now
+// and then.
+
+// The encoder's state has its constant table, the string and object ids that go
+// with it, and what it sent for each object: its slots and values, whether it was
+// a boxed primitive, and its integrity level. The decoder's state is just its
+// constant table. Both tables start with the dictionary, if there is one (see
+// 'Dictionaries').
+
+var encoder_state = function (dictionary) {
+  var info = dictionary && dictionary_info(dictionary);
+  return {constants: info ? info.constants.slice() : fixed_constants(),
+          strings:   info ? new Map(info.strings)  : new Map(),
+          ids:       new Map(),
+          fields:    new Map(),
+          boxed:     new Map(),
+          levels:    new Map()};
+};
+
+var decoder_state = function (dictionary) {
+  var info = dictionary && dictionary_info(dictionary);
+  return {constants: info ? info.constants.slice() : fixed_constants()};
+};
+
+var create_session = function (options) {
+  var outgoing = encoder_state(options && options.dictionary);
+  var incoming = decoder_state(options && options.dictionary);
+
+  // Runs one direction of the session, which stops working after an error.
+  var guard = function (state, type, f) {
+    return function (x) {
+      if (state.error)
+        throw new type('session is out of sync after an earlier error: ' +
+                       state.error.message, {cause: state.error});
+      try {
+        return f(x);
+      } catch (e) {
+        state.error = e;
+        throw e;
+      }
+    };
+  };
+
+  return {encode: guard(outgoing, Error, function (x) {
+                    return encoder(x, options, outgoing);
+                  }),
+          decode: guard(incoming, DecodeError, function (s) {
+                    return decoder(options, void 0, incoming).end(s);
+                  })};
+};
+
+
+
+
+
+// Diff and patch.
+// A session message that updates objects from earlier messages is already a
+// description of how a graph has changed, so diff() uses one to compare two
+// values:
+
+// | var delta = rather_insane_serialization.diff(before, after, options);
+//   var value = rather_insane_serialization.patch(before, delta, options);
+
+// The delta is a session message (see 'Sessions') that follows the encoding of
+// 'before': it has the constants that 'after' needs and 'before' doesn't have, and
+// edges for the slots that were added or changed, plus edges to the deleted marker
+// for the ones that were removed. The options are the same as encode()'s, and
+// both sides have to use the same ones.
+
+// The two values don't have to share any objects. An object in 'after' stands in
+// for one in 'before' if it is the same object, or if it can be found at the same
+// path from the root, or if the 'id' option gives them the same id:
+
+// | rather_insane_serialization.diff(before, after, {id: function (o) {
+//     return o instanceof User ? o.id : void 0}});
+
+// Ids take priority over paths, and both only match objects that have the same
+// prototype and could be updated into one another: dates have to have the same
+// time, regexps the same pattern and flags, functions the same code and
+// environment, and boxed primitives the same value. Buffers and views are never
+// matched, since their contents can't be updated. Anything in 'after' that isn't
+// matched is sent as a new object.
+
+// The patch() function takes either the value that was diffed or the encoding of
+// it. Given a value, it updates the value's objects in place, so it has to be the
+// same as it was when diff() saw it; given an encoding, it decodes it and updates
+// the result. Either way it returns the new value.
+
+var is_object = function (x) {
+  return x !== null && (typeof x === 'object' || typeof x === 'function');
+};
+
+// Objects are matched along the slots that lead to them. These are much the same
+// slots that encode() links, except that map keys, set elements, accessors, and
+// environments are children without a slot, since they can't be found by path.
+
+var each_child = function (o, f) {
+  if (is_map(o))
+    o.forEach(function (value, key) {f(void 0, key); f(key, value)});
+  else if (is_set(o))
+    o.forEach(function (value) {f(void 0, value)});
+  else if (! is_buffer(o) && view_kind(o) < 0)
+    for (var keys = Object.getOwnPropertyNames(o)
+                          .concat(Object.getOwnPropertySymbols(o)),
+             i = 0, l = keys.length; i < l; ++i) {
+      var descriptor = Object.getOwnPropertyDescriptor(o, keys[i]);
+      if ('value' in descriptor)
+        f(index_slot(keys[i]), descriptor.value);
+      else {
+        f(void 0, descriptor.get);
+        f(void 0, descriptor.set);
+      }
+    }
+
+  typeof o === 'function' && f(void 0, function_environment(o));
+};
+
+var reachable = function (x) {
+  var seen  = new Set();
+  var visit = function (slot, o) {
+    if (! is_object(o) || seen.has(o)) return;
+    seen.add(o);
+    each_child(o, visit);
+  };
+
+  visit(void 0, x);
+  return seen;
+};
+
+var matches = function (old, now) {
+  if (Object.getPrototypeOf(old) !== Object.getPrototypeOf(now) ||
+      is_buffer(now) || view_kind(now) >= 0)
+    return false;
+
+  if (typeof now === 'function')
+    return String(old) === String(now) && old.name === now.name &&
+           function_environment(old) === function_environment(now);
+
+  if (has_prototype(now, Date))   return Object.is(+old, +now);
+  if (has_prototype(now, RegExp)) return old.source === now.source &&
+                                         old.flags  === now.flags;
+
+  return has_prototype(now, Object) || has_prototype(now, Array) ||
+         ! Object.getPrototypeOf(now) || boxed_kind(now) < 0 ||
+         Object.is(boxed_value(old), boxed_value(now));
+};
+
+// The diff is encoded by a session that has sent 'before' and is told which
+// objects in 'after' stand for which ones it sent: each of them gets its
+// counterpart's id and record of what was sent, so the encoder updates it rather
+// than sending it again. The encoder also looks up the counterparts when it
+// compares slots and values, since those are what the earlier message had.
+
+var diff = function (before, after, options) {
+  options || (options = {});
+
+  var state = encoder_state(options.dictionary);
+  encoder(before, options, state);
+
+  // Objects that are in both values are themselves, so nothing else can stand
+  // for them.
+  var present = reachable(after);
+  var claimed = new Set();
+  var aliases = new Map();
+  present.forEach(function (o) {state.ids.has(o) && claimed.add(o)});
+
+  var pair = function (old, now) {
+    if (is_object(old) && is_object(now) && state.ids.has(old) &&
+        ! state.ids.has(now) && ! claimed.has(old) && ! aliases.has(now) &&
+        matches(old, now)) {
+      aliases.set(now, old);
+      claimed.add(old);
+    }
+  };
+
+  if (options.id) {
+    var ids = new Map();
+    state.ids.forEach(function (id, o) {
+      var k = o instanceof Descriptor ? void 0 : options.id(o);
+      k === void 0 || ids.has(k) || ids.set(k, o);
+    });
+    present.forEach(function (o) {
+      var k = options.id(o);
+      k === void 0 || pair(ids.get(k), o);
+    });
+  }
+
+  // Then follow the slots that the two values have in common, as long as the
+  // objects on each side match.
+  var walked = new Set();
+  var walk   = function (old, now) {
+    if (! is_object(old) || ! is_object(now)) return;
+
+    pair(old, now);
+    if (walked.has(now) || old !== now && aliases.get(now) !== old) return;
+    walked.add(now);
+
+    var slots = new Map();
+    each_child(old, function (slot, value) {
+      slot === void 0 || slots.set(slot, value);
+    });
+    each_child(now, function (slot, value) {
+      var old_slot = aliases.has(slot) ? aliases.get(slot) : slot;
+      slot === void 0 || ! slots.has(old_slot) ||
+        walk(slots.get(old_slot), value);
+    });
+  };
+
+  walk(before, after);
+
+  state.aliases = aliases;
+  aliases.forEach(function (old, now) {
+    state.ids.set(now, state.ids.get(old));
+    state.fields.set(now, state.fields.get(old));
+    state.boxed.has(old)  && state.boxed.set(now, state.boxed.get(old));
+    state.levels.has(old) && state.levels.set(now, state.levels.get(old));
+  });
+
+  return encoder(after, options, state);
+};
+
+// To patch a value in place, patch() encodes it again to find out which constant
+// each of its objects was, and decodes that encoding to get the other constants;
+// then it puts the value's own objects into the table before decoding the delta.
+
+var patch = function (before, delta, options) {
+  options || (options = {});
+
+  var state = decoder_state(options.dictionary);
+
+  if (typeof before === 'string') {
+    var listing = {constants: [], objects: [], integrity: []};
+    decoder(options, listing).end(before);
+    state.constants = listing.values;
+  } else {
+    var sent = encoder_state(options.dictionary);
+    decoder(options, void 0, state).end(encoder(before, options, sent));
+    sent.ids.forEach(function (id, o) {state.constants[id] = o});
+  }
+
+  return decoder(options, void 0, state).end(delta);
+};
+
+
+
+
+
+// Framing.
+// An encoding has no marker for where it ends, so several of them can't just be
+// written one after another; there would be no way to tell them apart. A frame
+// wraps one encoding so that they can:
+
+// | |<length> <length check> <checksum> <encoding>
+
+// A frame starts with the character '|', then has a five-digit count of the
+// characters in the encoding, a two-digit check of the count, a four-digit
+// checksum, and then the encoding itself.
+// Like everything else, frames ignore whitespace: the length counts only the
+// characters that matter, and frame() puts a newline after each frame so that a
+// log of them is easier to read.
+
+// The checksum is Adler-32, taken over the length and the encoding and reduced to
+// four digits. It's there so that a reader can tell a good frame from a damaged
+// one, and so that it can find the next good frame afterwards: it looks for the
+// next '|' and checks whether a frame starting there adds up. (An encoding can
+// contain '|' too, but the chances of its checksum working out by accident are
+// about one in 78 million.) The length check is the Adler-32 of just the length,
+// reduced to two digits. It lets the reader rule out most of the wrong places
+// without having to wait for whatever length they claim to have.
+
+var frame_checksum = function (s) {
+  for (var a = 1, b = 0,
+           i = 0, l = s.length; i < l; ++i) {
+    a = (a + s.charCodeAt(i)) % 65521;
+    b = (b + a) % 65521;
+  }
+  return (b * 65536 + a) % Math.pow(94, 4);
+};
+
+var frame = function (s) {
+  for (var valid = [],
+           i = 0, l = s.length; i < l; ++i)
+    if (s.charCodeAt(i) >= 33 && s.charCodeAt(i) <= 126)
+      valid.push(s.charAt(i));
+
+  var encoding = valid.join('');
+  var length   = radix_encode(encoding.length, 5);
+  return '|' + length + radix_encode(frame_checksum(length) % 8836, 2) +
+         radix_encode(frame_checksum(length + encoding), 4) + encoding + '\n';
+};
+
+
+// Reading frames.
+// The frame reader takes input in chunks, like the streaming decoder, and returns
+// the encodings of the frames that each chunk completes. What it does with a
+// damaged frame depends on the 'corrupt' option:
+
+// | 'error':  throw a DecodeError (this is the default)
+//   'skip':   skip to the next good frame
+//   function: call the function with a DecodeError, and then skip
+
+// Damage includes anything between frames that isn't a frame, a frame whose
+// checksum is wrong, and a frame that's cut off by the end of the input. The
+// errors' offsets count from the start of the input, whitespace and all, and their
+// section is 'frame'.
+
+// A damaged length can make a frame look much longer than it is, in which case
+// the reader has to wait for the end of the input to find out. 'max_frame_length'
+// limits how long a frame can be; it's 16777216 with {safe: true} and unlimited
+// otherwise.
+
+var frame_reader = function (options) {
+  options || (options = {});
+
+  var corrupt    = options.corrupt || 'error';
+  var max_length = options.max_frame_length !== void 0 ?
+                   options.max_frame_length :
+                   options.safe ? 16777216 : Infinity;
+
+  // The input that hasn't been used up yet, as in decoder().
+  var s            = '';
+  var raw          = '';
+  var raw_consumed = 0;
+  var position     = 0;
+  var ended        = false;
+
+  var damaged = function (message, details) {
+    details || (details = {});
+    details.offset  = raw_consumed + original_offset(raw, position);
+    details.section = 'frame';
+
+    var error = new DecodeError(message + ' (frame, offset ' + details.offset +
+                                ')', details);
+    if (corrupt === 'error')           throw error;
+    if (typeof corrupt === 'function') corrupt(error);
+
+    // Carry on from the next place that might be the start of a frame.
+    var next = s.indexOf('|', position + 1);
+    position = next < 0 ? s.length : next;
+  };
+
+  var read = function () {
+    for (var encodings = [];
+         position < s.length;) {
+      if (s.charAt(position) !== '|') {
+        damaged('expected the start of a frame');
+        continue;
+      }
+
+      // Wait for the rest of the frame, unless there isn't going to be any.
+      if (position + 12 > s.length && ! ended) break;
+      if (position + 12 > s.length) {
+        damaged('input ends in the middle of a frame header',
+                {truncated: true});
+        continue;
+      }
+
+      var length = radix_decode(s.substr(position + 1, 5));
+      if (frame_checksum(s.substr(position + 1, 5)) % 8836 !==
+          radix_decode(s.substr(position + 6, 2))) {
+        damaged('frame length check does not match');
+        continue;
+      }
+
+      if (length > max_length) {
+        damaged('frame is ' + length + ' long, which exceeds max_frame_length',
+                {policy: 'max_frame_length', limit: max_length});
+        continue;
+      }
+
+      if (position + 12 + length > s.length && ! ended) break;
+      if (position + 12 + length > s.length) {
+        damaged('input ends in the middle of a frame', {truncated: true});
+        continue;
+      }
+
+      var encoding = s.substr(position + 12, length);
+      if (frame_checksum(s.substr(position + 1, 5) + encoding) !==
+          radix_decode(s.substr(position + 8, 4))) {
+        damaged('frame checksum does not match');
+        continue;
+      }
+
+      encodings.push(encoding);
+      position += 12 + length;
+    }
+
+    // Drop the input that we've used up.
+    var raw_position = original_offset(raw, position);
+    s             = s.substring(position);
+    raw           = raw.substring(raw_position);
+    raw_consumed += raw_position;
+    position      = 0;
+
+    return encodings;
+  };
+
+  var append = function (chunk) {
+    if (ended) throw new Error('cannot write after end()');
+
+    for (var valid = [],
+             i = 0, l = chunk.length; i < l; ++i)
+      if (chunk.charCodeAt(i) >= 33 && chunk.charCodeAt(i) <= 126)
+        valid.push(chunk.charAt(i));
+
+    s   += valid.join('');
+    raw += chunk;
+  };
+
+  return {
+    write: function (chunk) {
+      append(chunk);
+      return read();
+    },
+
+    end: function (chunk) {
+      chunk === void 0 || append(chunk);
+      ended = true;
+      return read();
+    }
+  };
+};
+
+// The unframe() function reads frames from a string all at once, and returns the
+// encodings inside them.
+
+var unframe = function (s, options) {
+  return frame_reader(options).end(s);
+};
+
+
+// Node streams.
+// In Node, create_encoder_stream() returns a Transform stream that takes values
+// and writes one frame for each, and create_decoder_stream() returns one that
+// takes text (strings or buffers) and emits one value per frame. Both take the
+// same options as encode() and decode(), and the decoder stream also takes the
+// frame reader's options. It emits 'corrupt' events for damaged frames that it
+// skips, and fails with an error for the ones it doesn't. (A frame that adds up
+// but doesn't decode counts as damaged too.)
+
+// Node streams use null to mean that there's nothing more, so they can't carry
+// null values. The encoder stream can't be given null, and the decoder stream
+// fails if a frame decodes to null.
+
+var node_transform = function (options) {
+  if (typeof require !== 'function')
+    throw new Error('streams are only available in Node');
+  return new (require('stream').Transform)(options);
+};
+
+var create_encoder_stream = function (options) {
+  return node_transform({
+    writableObjectMode: true,
+    transform: function (value, encoding, callback) {
+      try {
+        callback(null, frame(encode(value, options)));
+      } catch (e) {
+        callback(e);
+      }
+    }
+  });
+};
+
+var create_decoder_stream = function (options) {
+  options || (options = {});
+
+  var reader_options = {};
+  for (var k in options)
+    if (Object.prototype.hasOwnProperty.call(options, k))
+      reader_options[k] = options[k];
+
+  // Skipped frames turn into 'corrupt' events, after going to the caller's
+  // function if there is one.
+  var skipping = options.corrupt && options.corrupt !== 'error';
+  var skip     = function (error) {
+    typeof options.corrupt === 'function' && options.corrupt(error);
+    stream.emit('corrupt', error);
+  };
+
+  skipping && (reader_options.corrupt = skip);
+  var reader = frame_reader(reader_options);
+
+  var emit = function (encodings) {
+    for (var i = 0, l = encodings.length; i < l; ++i) {
+      try {
+        var value = decode(encodings[i], options);
+      } catch (e) {
+        if (! skipping || ! (e instanceof DecodeError)) throw e;
+        skip(e);
+        continue;
+      }
+
+      if (value === null)
+        throw new Error('a frame decoded to null, which streams can\'t carry');
+      stream.push(value);
+    }
+  };
+
+  var stream = node_transform({
+    readableObjectMode: true,
+    transform: function (chunk, encoding, callback) {
+      try {
+        emit(reader.write(typeof chunk === 'string' ?
+                            chunk : chunk.toString('latin1')));
+        callback();
+      } catch (e) {
+        callback(e);
+      }
+    },
+
+    flush: function (callback) {
+      try {
+        emit(reader.end());
+        callback();
+      } catch (e) {
+        callback(e);
+      }
+    }
+  });
+
+  return stream;
+};
+
+
+
+
+
+// Lazy decoding.
+// To read one value from a large encoding, decode() still has to build every
+// constant and connect every edge. The open() function reads just enough of the
+// encoding to know where each constant is and which edges each object has, and
+// leaves the rest until it's asked for:
+
+// | var handle = rather_insane_serialization.open(s, options);
+//   handle.get(['users', 42, 'name'])           // -> 'ann'
+//   handle.get([])                              // -> the whole value
+
+// The get() method follows the path along the edges, decoding only the slots of
+// the objects on the way, and then decodes whatever the path ends at. A primitive
+// costs just its own constant. An object comes back complete, so it's decoded
+// along with everything that can be reached from it; anything that was decoded
+// before is reused rather than decoded again, so objects keep their identity from
+// one call to the next, cycles included.
+
+// Paths are arrays of property names, array indexes, and map keys. A path can't
+// always be followed along the edges: sets have no keys, packed arrays have no
+// edges, and some properties aren't edges at all (an array's length, say, or one
+// that has a descriptor). In those cases get() decodes the object at that point
+// and carries on from there the usual way. A key that isn't there gives undefined.
+
+// The options are the same as decode()'s, apart from the reviver: revivers work
+// on the whole value at once, so open() doesn't take one. Problems with the
+// layout of the encoding are reported by open() itself, and problems with
+// particular constants by the get() that decodes them; after an error, the handle
+// refuses to do anything else. open() reads encodings from encode(), not session
+// messages.
+
+var open = function (s, options) {
+  options || (options = {});
+  if (options.reviver)
+    throw new Error('open() does not take a reviver; see \'Lazy decoding\'');
+
+  // The reader reads the layout of the encoding (see 'Reading encodings'),
+  // and we just note where everything is: where each constant starts, where
+  // each object's groups are (their positions, their sizes, and whether they
+  // follow a group of the same object), and the integrity levels. It skips
+  // over the edges, and keeps the input so that we can come back to them.
+  var policy     = decode_policy(options);
+  var dictionary = void 0;
+  var offsets    = [];
+  var groups     = new Map();
+  var levels     = new Map();
+  var previous   = void 0;
+
+  var reader = encoding_reader(options, policy, false, true, {
+    header: function (found) {
+      dictionary = found;
+      return dictionary ? dictionary.constants.length : 9;
+    },
+
+    constant: function (index, s, position) {
+      offsets.push(position);
+    },
+
+    group: function (index, edges, position) {
+      var list = groups.get(index) || groups.set(index, []).get(index);
+      list.push(position, edges, index === previous);
+      previous = index;
+    },
+
+    integrity: function (index, level) {
+      levels.set(index, level);
+    }
+  });
+
+  reader.end(s);
+  s = reader.input();
+
+  var first      = reader.layout.first;
+  var result_id  = reader.layout.result;
+  var fail       = reader.fail;
+  var read_index = reader.read_index;
+
+  // Everything from here on happens as values are asked for. A constant is in
+  // the table once it has been decoded, and an object only once it has been
+  // connected as well.
+  var constants   = dictionary ? dictionary.constants.slice() :
+                                 fixed_constants();
+  var decoding    = constant_decoder(options, policy, constants, fail);
+  var descriptors = [];
+  var connect     = edge_connector(policy, descriptors, fail);
+  var error       = void 0;
+
+  // Reads an object's edges as a list of slot and value indexes. If its groups
+  // aren't consecutive, the decoder starts counting array elements over, so we
+  // mark the place with a pair of -1s. Objects that get() passes through keep
+  // their lists until they're decoded.
+  var parsed = new Map();
+
+  var edges = function (id) {
+    if (parsed.has(id)) return parsed.get(id);
+
+    for (var list = [], found = groups.get(id) || [],
+             i = 0, l = found.length; i < l; i += 3) {
+      found[i + 2] || ! list.length || list.push(-1, -1);
+      reader.locate('reference graph', id, found[i]);
+      for (var j = 0; j < found[i + 1]; ++j)
+        list.push(read_index(), read_index());
+    }
+
+    return list;
+  };
+
+  // Decodes a constant on its own, after the constant it refers to if there is
+  // one. That has to be an earlier constant, just as it does for the decoder,
+  // which hasn't seen the later ones yet. Objects go on the batch to be
+  // connected.
+  var add = function (id, batch) {
+    if (id in constants) return;
+
+    var start     = offsets[id - first];
+    var reference = constant_reference(s, start);
+
+    reference < 0 || reference >= id || add(reference, batch);
+
+    reader.locate('constant table', id, start);
+
+    if (reference >= id)
+      fail(DecodeError, 'constant ' + id + ' refers to constant ' + reference +
+                        ', which doesn\'t come before it');
+
+    try {
+      var parsed = decoding.decode(s, start);
+    } catch (e) {
+      if (e instanceof DecodeError) throw e;
+      fail(DecodeError, e.message, {cause: e});
+    }
+
+    typeof parsed[0] === 'string' && decoding.check_length(parsed[0].length);
+    constants[id] = parsed[0];
+
+    if (parsed[0] !== null && (typeof parsed[0] === 'object' ||
+                               typeof parsed[0] === 'function'))
+      batch.push(id);
+    else if (groups.has(id)) {
+      reader.locate('reference graph', id);
+      fail(DecodeError, 'edges can only be attached to objects');
+    }
+  };
+
+  // Decodes a constant along with everything that it can reach, and connects
+  // the objects among them the same way the decoder does.
+  var value = function (id) {
+    if (id in constants) return constants[id];
+
+    var batch = [];
+    var lists = [];
+    add(id, batch);
+
+    for (var i = 0; i < batch.length; ++i)
+      for (var list = lists[i] = edges(batch[i]),
+               j = 0, l = list.length; j < l; j += 2)
+        if (list[j] >= 0) {
+          add(list[j], batch);
+          add(list[j + 1], batch);
+        }
+
+    for (var i = 0, li = batch.length; i < li; ++i) {
+      var object = batch[i];
+      var base   = constants[object];
+      parsed['delete'](object);
+      reader.locate('reference graph', object);
+
+      for (var list = lists[i],
+               next = 0,
+               j = 0, l = list.length; j < l; j += 2) {
+        if (list[j] < 0) {
+          next = 0;
+          continue;
+        }
+
+        var property = constants[list[j]];
+        if (base instanceof Array) {
+          if (list[j] === next_element)  property = next;
+          if (typeof property === 'number') next    = property + 1;
+        }
+
+        connect(base, object, property, constants[list[j + 1]]);
+      }
+    }
+
+    for (var i = 0, l = descriptors.length; i < l; i += 3)
+      try {
+        reader.locate('reference graph', descriptors[i]);
+        Object.defineProperty(constants[descriptors[i]],
+                              descriptors[i + 1],
+                              descriptor_properties(descriptors[i + 2]));
+      } catch (e) {
+        fail(DecodeError, e.message, {cause: e});
+      }
+    descriptors.length = 0;
+
+    for (var i = 0, l = batch.length; i < l; ++i)
+      levels.has(batch[i]) && restore_integrity(constants[batch[i]],
+                                                levels.get(batch[i]));
+
+    return constants[id];
+  };
+
+  // Slots have to be decoded to compare them with a key, but only primitive
+  // ones: decoding an object would mean decoding everything it reaches. An
+  // object can only be a key we're looking for if it has been decoded already.
+  var is_primitive = function (id) {
+    return id < first || /^[a-lq+A-IK-`$<]$/.test(s.charAt(offsets[id - first]));
+  };
+
+  var missing = {};
+
+  var slot_value = function (id, key) {
+    return is_primitive(id) ? value(id) :
+           key !== null && (typeof key === 'object' ||
+                            typeof key === 'function') &&
+           id in constants ? constants[id] : missing;
+  };
+
+  // Finds the index of the constant that a key leads to from an object that
+  // hasn't been decoded. It's undefined if the key isn't there, and -1 if we
+  // need the object to tell. (Sets have no keys to look up, and instances of
+  // registered classes might be maps.)
+  var lookup = function (id, key) {
+    var prefix = id < first ? '' : s.charAt(offsets[id - first]);
+    var map    = prefix === '&';
+    var array  = prefix === '!' || prefix === 'p';
+    var slot   = map ? key : index_slot(key);
+    var found  = -1;
+
+    if (prefix === "'" || prefix === '%' || ! groups.has(id)) return -1;
+
+    parsed.has(id) || parsed.set(id, edges(id));
+    for (var list = parsed.get(id),
+             next = 0,
+             i = 0, l = list.length; i < l; i += 2) {
+      if (list[i] < 0) {
+        next = 0;
+        continue;
+      }
+
+      var property = array && list[i] === next_element ?
+                     next : slot_value(list[i], key);
+      if (array && typeof property === 'number') next = property + 1;
+
+      if (! map && property !== missing && ! is_property_key(property)) {
+        reader.locate('reference graph', id);
+        fail(DecodeError, 'an object\'s slots must be strings, numbers, or ' +
+                          'symbols');
+      }
+
+      if (! map && policy.dangerous_keys !== 'allow' &&
+          is_dangerous_key(property)) {
+        reader.locate('reference graph', id);
+        fail(PolicyError, 'refusing to assign property ' + property,
+             {policy: 'dangerous_keys'});
+      }
+
+      if (map ? property === slot || property !== property && slot !== slot
+              : property === slot)
+        found = list[i + 1];
+    }
+
+    // Properties with descriptors are defined by the descriptor, so they're
+    // easier to read from the object.
+    return found >= first && s.charAt(offsets[found - first]) === '>' ? -1 :
+           found < 0 && (map || array || prefix === '"' || prefix === '.') &&
+           ! (array && key === 'length') ? void 0 : found;
+  };
+
+  var get = function (path) {
+    for (var id = result_id,
+             i = 0, l = path.length; i < l && ! (id in constants); ++i) {
+      var next = lookup(id, path[i]);
+      if (next === void 0) return void 0;
+      if (next < 0)        break;
+      id = next;
+    }
+
+    for (var x = value(id); i < l; ++i)
+      x = x === null || x === void 0 ? void 0 :
+          is_map(x) ? x.get(path[i]) : x[path[i]];
+    return x;
+  };
+
+  return {
+    get: function (path) {
+      if (error) throw error;
+      try {
+        return get(path);
+      } catch (e) {
+        throw error = e;
+      }
+    }
+  };
+};
+
+
+
+
+
+// Inspection.
+// The bytecode is dense enough that it's hard to read by eye, so inspect() decodes
+// an encoded string into a description of what's in it and where:
+
+// | rather_insane_serialization.inspect(s) -> {
+//     result:    index of the constant that decode() would return,
+//     width:     width of each constant index in the reference graph,
+//     sections:  {header: {offset, length}, 'constant table': {...}, ...},
+//     constants: [{index, offset, length, prefix, raw, value}, ...],
+//     objects:   [{index, offset, length, raw, edges: [{slot, value}, ...]}, ...],
+//     integrity: [{index, level}, ...],
+//     values:    [value of constant 0, value of constant 1, ...]}
+
+// Offsets refer to the original input, whitespace and all, and lengths count only
+// the characters that matter. Edges refer to constants by index. Only the
+// constants that were actually serialized are listed; indexes 0 through 8 refer
+// to the fixed entries described in 'Constant table'.
+
+// Options are passed along to the decoder, except that functions are stubbed out
+// by default (there's no reason to compile code just to look at it). Values are
+// whatever the decoder produced, so objects are fully connected. 'values' holds
+// the whole constant table, fixed and dictionary entries included, so it's the
+// place to look up what an edge refers to.
+
+var inspect = function (s, options) {
+  var decoder_options = {functions: 'stub'};
+  for (var k in options)
+    if (Object.prototype.hasOwnProperty.call(options, k))
+      decoder_options[k] = options[k];
+
+  var listing = {constants: [], objects: [], integrity: []};
+  decoder(decoder_options, listing).end(s);
+
+  // Map positions in the whitespace-free input back onto the original.
+  for (var offsets = [],
+           i = 0, l = s.length; i < l; ++i)
+    if (s.charCodeAt(i) >= 33 && s.charCodeAt(i) <= 126)
+      offsets.push(i);
+  offsets.push(s.length);
+
+  var located = function (position, raw, properties) {
+    properties.offset = offsets[position];
+    properties.length = raw.length;
+    properties.raw    = raw;
+    return properties;
+  };
+
+  var result = {result:    listing.result,
+                width:     listing.width,
+                sections:  {},
+                constants: [],
+                objects:   [],
+                integrity: []};
+
+  for (var k in listing.sections)
+    if (Object.prototype.hasOwnProperty.call(listing.sections, k))
+      result.sections[k] = {offset: offsets[listing.sections[k][0]],
+                            length: listing.sections[k][1] -
+                                    listing.sections[k][0]};
+
+  for (var i = 0, l = listing.constants.length; i < l; ++i) {
+    var c = listing.constants[i];
+    result.constants.push(located(c.position, c.raw,
+                                  {index:  c.index,
+                                   prefix: c.raw.charAt(0),
+                                   value:  listing.values[c.index]}));
+  }
+
+  for (var i = 0, l = listing.objects.length; i < l; ++i) {
+    var o = listing.objects[i];
+    for (var edges = [],
+             j = 0, lj = o.edges.length; j < lj; ++j)
+      edges.push({slot: o.edges[j][0], value: o.edges[j][1]});
+
+    result.objects.push(located(o.position, o.raw,
+                                {index: o.index, edges: edges}));
+  }
+
+  for (var i = 0, l = listing.integrity.length; i < l; ++i)
+    result.integrity.push({index: listing.integrity[i][0],
+                           level: listing.integrity[i][1]});
+
+  result.values = listing.values;
+  return result;
+};
+
+
+// Formatting inspections.
+// format_inspection() renders the result of inspect() as text, one line per
+// constant and per edge, along with the size of each section. For example:
+
+// | header                                      8 bytes
+//     3 constants, result #9
+//   constant table                              5 bytes
+//          #9  "                  object
+//         #10  Kx                 "x"
+//         #11  b"                 1
+//   reference graph                             8 bytes
+//          #9 object                            4 bytes
+//             #10 "x" -> #11 1
+
+// Values are summarized rather than printed in full, so that each one fits on a
+// line.
+
+var fixed_constant_names = ['false', 'true', 'null', 'undefined', 'NaN',
+                            'Infinity', '-Infinity', '""', '0'];
+
+var descriptor_flag_names = ['enumerable', 'configurable', 'writable',
+                             'accessor'];
+
+var descriptor_summary = function (flags) {
+  for (var names = [],
+           i = 0, l = descriptor_flag_names.length; i < l; ++i)
+    flags & (1 << i) && names.push(descriptor_flag_names[i]);
+  return 'descriptor' + (names.length ? ' (' + names.join(', ') + ')' : '');
+};
+
+var summarize = function (value, index) {
+  if (index < 9) return fixed_constant_names[index];
+
+  var type = typeof value;
+  if (type === 'string')
+    return JSON.stringify(value.length > 40 ? value.substr(0, 37) + '...' :
+                                              value);
+
+  if (type === 'number')   return 1 / value === -1 / 0 ? '-0' : String(value);
+  if (type === 'bigint')   return String(value) + 'n';
+  if (type === 'symbol')   return value.toString();
+  if (type === 'function') return 'function' + (value.name ? ' ' + value.name
+                                                           : '');
+
+  if (value instanceof Date)   return 'Date ' + (isNaN(+value) ?
+                                                 'invalid' : value.toISOString());
+  if (value instanceof RegExp) return String(value);
+  if (value instanceof Array)  return 'array';
+  if (is_tagged(value))        return 'tagged';
+  if (value instanceof Descriptor)
+    return descriptor_summary(value.flags);
+  if (is_map(value))           return 'map';
+  if (is_set(value))           return 'set';
+  if (is_buffer(value))        return 'ArrayBuffer(' + value.byteLength + ')';
+  if (view_kind(value) >= 0)   return value.constructor.name;
+
+  var prototype = Object.getPrototypeOf(value);
+  if (! prototype)             return 'null-prototype object';
+  if (boxed_kind(value) >= 0)  return 'boxed ' + summarize(boxed_value(value),
+                                                           index);
+
+  return prototype === Object.prototype ? 'object' :
+         has_prototype(value, prototype.constructor) &&
+         prototype.constructor.name || 'instance';
+};
+
+var format_inspection = function (inspection) {
+  var lines  = [];
+  var values = inspection.values;
+
+  var pad = function (s, n) {
+    while (s.length < n) s += ' ';
+    return s;
+  };
+
+  var size = function (label, n) {
+    return pad(label, 44 - String(n).length) + ' ' + n + ' bytes';
+  };
+
+  var name = function (index) {
+    return '#' + index + ' ' + summarize(values[index], index);
+  };
+
+  var sections = inspection.sections;
+
+  lines.push(size('header', sections['header'].length));
+  lines.push('  ' + inspection.constants.length + ' constants, result #' +
+             inspection.result);
+
+  lines.push(size('constant table', sections['constant table'].length));
+  for (var i = 0, l = inspection.constants.length; i < l; ++i) {
+    var c   = inspection.constants[i];
+    var raw = c.raw.length > 18 ? c.raw.substr(0, 15) + '...' : c.raw;
+    lines.push(pad(pad('', 8 - String(c.index).length) + '#' + c.index + '  ' +
+                   raw, 30) + summarize(c.value, c.index));
+  }
+
+  lines.push(size('reference graph', sections['reference graph'].length));
+  for (var i = 0, l = inspection.objects.length; i < l; ++i) {
+    var o = inspection.objects[i];
+    lines.push(size(pad('', 8 - String(o.index).length) + name(o.index),
+                    o.length));
+
+    for (var j = 0, lj = o.edges.length; j < lj; ++j)
+      lines.push('          ' +
+                 (o.edges[j].slot === next_element &&
+                  values[o.index] instanceof Array ? 'next element'
+                                                   : name(o.edges[j].slot)) +
+                 ' -> ' + name(o.edges[j].value));
+  }
+
+  if (inspection.integrity.length) {
+    lines.push(size('integrity section', sections['integrity section'].length));
+    for (var i = 0, l = inspection.integrity.length; i < l; ++i)
+      lines.push(pad('', 8 - String(inspection.integrity[i].index).length) +
+                 name(inspection.integrity[i].index) + ': ' +
+                 ['', 'non-extensible', 'sealed',
+                      'frozen'][inspection.integrity[i].level]);
   }
 
-  return constants[result_id];
+  return lines.join('\n');
 };
 
 
 
 
 return rather_insane_serialization =
-       {encode: encode, decode: decode};
+       {encode: encode, decode: decode, register: register, with_env: with_env,
+        tag: tag, is_tagged: is_tagged, omit: omit,
+        create_session: create_session, create_decoder: create_decoder,
+        diff: diff, patch: patch, open: open,
+        build_dictionary: build_dictionary,
+        frame: frame, unframe: unframe,
+        create_encoder_stream: create_encoder_stream,
+        create_decoder_stream: create_decoder_stream,
+        inspect: inspect, format_inspection: format_inspection,
+        DecodeError: DecodeError, PolicyError: PolicyError};
 
 })();
 